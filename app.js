@@ -15,10 +15,21 @@ function centsToDollars(cents) {
 
 // ===== Data model =====
 
-const STORAGE_KEY = 'deadSimpleBudgetState_v1';
+// Database name (IndexedDB) and key prefix (localStorage) for saved state.
+const STORAGE_NAME = 'deadSimpleBudget';
+
+// Older versions kept the whole state as JSON under this one key.
+const LEGACY_STORAGE_KEY = 'deadSimpleBudgetState_v1';
+
+// Version of the persisted state shape. Bump it whenever that shape changes
+// and add the matching step to MIGRATIONS below.
+const SCHEMA_VERSION = 12;
+
+// Detail of archived (closed) months lives under its own key.
+const ARCHIVE_KEY = 'deadSimpleBudgetArchive_v1';
 
 class Envelope {
-  constructor(id, name, targetCents, balanceCents, flags = {}) {
+  constructor(id, name, targetCents, balanceCents, flags = {}, allocation = {}, rollover = {}, cardOwedCents = 0) {
     this.id = id;
     this.name = name;
     this.targetCents = targetCents;   // budget per period, in cents
@@ -27,587 +38,6635 @@ class Envelope {
     this.isOverflow = !!flags.isOverflow;
     this.isCreditCard = !!flags.isCreditCard;
     this.isActive = flags.isActive !== false;
+    // How Auto Allocate funds this envelope; see ALLOCATION_STRATEGIES.
+    this.allocation = {
+      strategy: allocation.strategy || 'fixed',
+      percent: allocation.percent || 0,    // used by the "percent" strategy
+      priority: allocation.priority || 0,  // lower is funded first
+    };
+    // What happens to the leftover balance at period close; see ROLLOVER_POLICIES.
+    this.rollover = {
+      policy: rollover.policy || 'carry',
+      capCents: rollover.capCents || 0,    // used by the "cap" policy
+    };
+    this.cardOwedCents = cardOwedCents;  // credit cards only: statement balance owed
   }
 }
 
 class Transaction {
-  constructor({ id, timestamp, fromEnvelopeId, toEnvelopeId, amountCents, note }) {
+  constructor({
+    id, timestamp, fromEnvelopeId, toEnvelopeId, amountCents, note, batchId, recurringId,
+    payee, tags, ruleId, kind, cleared, reconciledId,
+    accountId, toAccountId, toCleared, toReconciledId, splits,
+  }) {
     this.id = id;
     this.timestamp = timestamp;
     this.fromEnvelopeId = fromEnvelopeId || null;
     this.toEnvelopeId = toEnvelopeId || null;
     this.amountCents = amountCents;
     this.note = note || '';
+    this.batchId = batchId || null;   // set on every leg of one auto-allocation run
+    this.recurringId = recurringId || null; // template that posted it, if any
+    this.payee = payee || '';
+    this.tags = tags ? [...tags] : [];
+    this.ruleId = ruleId || null;     // payee rule that filled it in, if any
+    this.kind = kind || null;         // 'cardCharge', 'cardPayment' or null; see CARD_TRANSACTION_KINDS
+    this.cleared = !!cleared;         // seen on a bank statement
+    this.reconciledId = reconciledId || null; // reconciliation that locked it, if any
+    this.accountId = accountId || null;       // account the money moved through, if known
+    // Transfers between accounts: money goes from accountId to toAccountId,
+    // and the receiving side clears on its own statement.
+    this.toAccountId = toAccountId || null;
+    this.toCleared = !!toCleared;
+    this.toReconciledId = toReconciledId || null;
+    // Split lines [{ envelopeId, amountCents }] replace fromEnvelopeId when one
+    // payment comes out of several envelopes; they add up to amountCents.
+    this.splits = splits ? splits.map(line => ({ ...line })) : null;
   }
 }
 
 class State {
   constructor() {
+    this.schemaVersion = SCHEMA_VERSION;
     this.envelopes = [];
     this.transactions = [];
-    this.bankBalanceCents = 0;
+    this.accounts = [defaultAccount()];
+    // Envelope balances as of `asOf`; everything after is in `transactions`.
+    this.openingBalances = { asOf: null, balances: {} };
+    // One record per Auto Allocate run, kept even after it is reverted.
+    this.allocationBatches = [];
+    // Recurring templates, and due items waiting for one-click confirmation.
+    this.recurring = [];
+    this.upcoming = [];
+    // Payee rules, tried in order; the first match wins.
+    this.payeeRules = [];
+    // Every change to an account balance, by hand or by reconciling, oldest first.
+    this.reconciliations = [];
     this.settings = {
       transactionRetentionDays: 30,
+      allocation: {
+        stopWhenIncomeRunsOut: false,
+        remainderToOverflow: false,
+      },
+      period: defaultPeriodSettings(),
     };
   }
 }
 
+// Monthly periods from the first of the current month, with nothing to close yet.
+function defaultPeriodSettings() {
+  const now = new Date();
+  const startDate = formatLocalDate(new Date(now.getFullYear(), now.getMonth(), 1));
+  return { frequency: 'monthly', startDate, closedThrough: startDate };
+}
+
 let state = new State();
 
 // ===== Persistence =====
 
-function saveState() {
-  try {
-    const json = JSON.stringify(state);
-    localStorage.setItem(STORAGE_KEY, json);
-    console.log('State saved:', state);
-  } catch (err) {
-    console.error('Failed to save state', err);
-  }
+// Set when stored data could not be read *and* could not be set aside.
+// While set, saveState() refuses to write so the original bytes survive.
+let saveBlockedReason = null;
+
+// Active storage driver, chosen by loadState().
+let storage = null;
+
+// What the driver holds right now, as JSON, so saves only write what changed.
+// Null when unknown (after a failed write): the next save rewrites everything.
+let persisted = null;
+
+// Writes run one after another, in the order the saves happened.
+let storageQueue = Promise.resolve();
+
+// Shown once per run of failures; cleared by the next write that works.
+let storageErrorShown = false;
+
+// Stored with the state and bumped on every write, so a tab can tell when
+// someone else wrote since it last read.
+let storageRevision = 0;
+
+// Writes queued but not finished yet.
+let pendingWriteCount = 0;
+
+// Set when a write found another tab's newer data; queued writes are skipped
+// until the user picks which version to keep.
+let storageConflict = false;
+
+// The state as stored: one meta record (everything but the transactions, plus
+// their order) and one record per transaction. Takes plain data, not a State.
+function splitState(data) {
+  const { transactions, ...meta } = data;
+  meta.transactionIds = transactions.map(tx => tx.id);
+  return { meta, transactions };
 }
 
-function loadState() {
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) {
-    state = new State();
-    console.log('No saved state, using fresh State');
-    return;
-  }
-  try {
-    const parsed = JSON.parse(raw);
-    const newState = new State();
-
-    newState.bankBalanceCents = parsed.bankBalanceCents || 0;
-    newState.settings = parsed.settings || newState.settings;
-
-    newState.envelopes = (parsed.envelopes || []).map(e =>
-      new Envelope(
-        e.id,
-        e.name,
-        e.targetCents,
-        e.balanceCents,
-        {
-          isIncome: e.isIncome,
-          isOverflow: e.isOverflow,
-          isCreditCard: e.isCreditCard,
-          isActive: e.isActive,
-        }
-      )
-    );
+function joinState({ meta, transactions }) {
+  const { transactionIds, revision, ...rest } = meta;
+  const byId = new Map(transactions.map(tx => [tx.id, tx]));
+  return { ...rest, transactions: (transactionIds || []).map(id => byId.get(id)).filter(Boolean) };
+}
 
-    newState.transactions = (parsed.transactions || []).map(t =>
-      new Transaction(t)
-    );
+function rememberPersisted({ meta, transactions }) {
+  const { revision, ...rest } = meta;
+  persisted = {
+    meta: JSON.stringify(rest),
+    transactions: new Map(transactions.map(tx => [tx.id, JSON.stringify(tx)])),
+  };
+}
 
-    state = newState;
-    console.log('State loaded:', state);
-  } catch (err) {
-    console.error('Failed to load state, resetting', err);
-    state = new State();
+// `label` names the action in the undo history.
+function saveState(label = 'Change') {
+  if (saveBlockedReason) {
+    console.error('Not saving state:', saveBlockedReason);
+    return;
   }
-}
 
-function exportStateToFile() {
-  // Make sure the latest state is saved
-  saveState();
+  const json = JSON.stringify(state);
+  recordHistory(json, label);
+  if (!storage) return;
 
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) {
-    alert('No data to export.');
+  const split = splitState(JSON.parse(json));
+  if (!persisted) {
+    rememberPersisted(split);
+    split.meta.revision = ++storageRevision;
+    queueStorageWrite(() => storage.replace(split), storageRevision);
     return;
   }
 
-  const blob = new Blob([raw], { type: 'application/json' });
+  const { meta, transactions } = split;
+  const metaJson = JSON.stringify(meta);
+  const put = [];
+  const seen = new Set();
+  transactions.forEach(tx => {
+    seen.add(tx.id);
+    const txJson = JSON.stringify(tx);
+    if (persisted.transactions.get(tx.id) !== txJson) {
+      put.push(tx);
+      persisted.transactions.set(tx.id, txJson);
+    }
+  });
+  const remove = [...persisted.transactions.keys()].filter(id => !seen.has(id));
+  remove.forEach(id => persisted.transactions.delete(id));
 
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `budget-backup-${timestamp}.json`;
+  const metaChanged = metaJson !== persisted.meta;
+  persisted.meta = metaJson;
+  if (!metaChanged && put.length === 0 && remove.length === 0) return;
 
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+  // The meta record carries the revision, so it goes with every write.
+  const expectedRevision = storageRevision;
+  meta.revision = ++storageRevision;
+  queueStorageWrite(() => storage.write({ meta, put, remove, expectedRevision }), storageRevision);
 }
 
-function importStateFromFile(file) {
-  if (!file) {
-    alert('Choose a file first.');
-    return;
-  }
+// `write` resolves to false when another tab wrote first; nothing was written then.
+function queueStorageWrite(write, revision) {
+  pendingWriteCount++;
+  storageQueue = storageQueue
+    .then(async () => {
+      // Based on data that another tab has replaced since
+      if (storageConflict) return;
+      if (await write() === false) {
+        storageConflict = true;
+        resolveStorageConflict();
+        return;
+      }
+      storageErrorShown = false;
+      announceRevision(revision);
+      scheduleSync();
+    })
+    .catch(err => {
+      // Forget what we think is stored so the next save writes everything.
+      persisted = null;
+      console.error('Failed to save state', err);
+      if (!storageErrorShown) {
+        storageErrorShown = true;
+        notifyError(
+          `Your changes could not be saved: ${err.message || err}\n\n` +
+          'They are still on screen and the next change will try again. ' +
+          'Export a backup before closing this tab.'
+        );
+      }
+    })
+    .then(() => {
+      pendingWriteCount--;
+    });
+}
 
-  const reader = new FileReader();
-  reader.onload = (event) => {
+async function loadState() {
+  storage = await openStorage(getProfileStorageName());
+
+  const lock = getEncryptionLock();
+  if (lock) {
+    const key = await unlockStorage(lock);
+    if (!key) {
+      saveBlockedReason = 'the budget is locked';
+      state = new State();
+      notifyError('This budget is encrypted and was not unlocked. Nothing will be saved; reload the page to try again.');
+      return;
+    }
+    encryptionKey = key;
+    storage = createEncryptedDriver(storage, key);
     try {
-      const text = event.target.result;
-      const parsed = JSON.parse(text);
+      await loadEncryptedArchive();
+    } catch (err) {
+      console.error('Archive could not be decrypted', err);
+    }
+  }
 
-      // Minimal shape check
-      if (!parsed || typeof parsed !== 'object') {
-        throw new Error('Invalid JSON structure.');
+  let stored = null;
+  let fromLegacy = false;
+  let problems;
+  try {
+    let raw = null;
+    stored = await storage.read();
+    if (stored) {
+      raw = joinState(stored);
+    } else if (profileRegistry.activeId === DEFAULT_PROFILE_ID) {
+      // One-time move from the single localStorage key used before.
+      const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+      if (legacy) {
+        fromLegacy = true;
+        raw = JSON.parse(legacy);
       }
-      if (!Array.isArray(parsed.envelopes) || !Array.isArray(parsed.transactions)) {
-        throw new Error('Missing envelopes/transactions arrays.');
+    }
+    if (!raw) {
+      state = new State();
+      console.log('No saved state, using fresh State');
+      return;
+    }
+
+    const data = migrateState(raw);
+    problems = validateState(data);
+    if (problems.length === 0) {
+      state = deserializeState(data);
+      if (fromLegacy) {
+        const split = splitState(JSON.parse(JSON.stringify(state)));
+        await storage.replace(split);
+        rememberPersisted(split);
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        console.log(`Moved saved state to ${storage.name}`);
+      } else {
+        rememberPersisted(stored);
+        storageRevision = stored.meta.revision || 0;
       }
+      console.log(`State loaded: ${state.envelopes.length} envelopes, ${state.transactions.length} transactions`);
+      return;
+    }
+  } catch (err) {
+    problems = [err.message];
+  }
 
-      const ok = confirm(
-        'Importing this backup will overwrite your current budget data.\n\n' +
-        'Continue?'
-      );
-      if (!ok) return;
+  // Never overwrite data we could not read: park the original first. Data
+  // still under the old key is never written to, so it stays as it was.
+  let recoveryKey = LEGACY_STORAGE_KEY;
+  if (stored) {
+    recoveryKey = `${getProfileStorageName()}_unreadable_${Date.now()}`;
+    try {
+      await storage.keep(recoveryKey, JSON.stringify(stored));
+    } catch (err) {
+      saveBlockedReason = 'saved data is unreadable and could not be backed up';
+    }
+  } else if (!fromLegacy) {
+    saveBlockedReason = 'saved data could not be read';
+  }
 
-      // Write raw JSON back into localStorage
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(parsed));
+  console.error('Saved state is invalid:', problems);
+  notifyError(
+    'Your saved budget could not be loaded:\n\n' +
+    formatProblemList(problems) + '\n\n' +
+    (saveBlockedReason
+      ? 'It could not be backed up either, so changes will NOT be saved this session.'
+      : `The original data was kept in ${storage.name} under "${recoveryKey}". Starting with an empty budget.`)
+  );
+  state = new State();
+}
 
-      // Reload app to re-run loadState/ensureCoreEnvelopes/etc.
-      location.reload();
+// ===== Storage drivers =====
+
+// Every driver has the same shape:
+//   name                          where the data lives, for messages
+//   read()                        { meta, transactions } or null when empty
+//   write({ meta, put, remove, expectedRevision })
+//                                 update the meta and the given transaction
+//                                 records in one go; resolves to false, writing
+//                                 nothing, if the stored revision is not
+//                                 expectedRevision
+//   replace({ meta, transactions }) drop everything and write these
+//   keep(key, text)               set a copy aside under its own key
+//   destroy()                     delete everything but the kept copies
+// All of them return promises.
+
+// IndexedDB when the browser allows it (not in some private modes), else
+// localStorage. `storageName` is the database name or key prefix.
+async function openStorage(storageName = getProfileStorageName()) {
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      return await createIndexedDbDriver(storageName);
     } catch (err) {
-      console.error('Failed to import backup:', err);
-      alert('Failed to import backup: ' + err.message);
+      console.error('IndexedDB unavailable, falling back to localStorage', err);
+    }
+  }
+  return createLocalStorageDriver(storageName);
+}
+
+function createLocalStorageDriver(storageName) {
+  const metaKey = `${storageName}_meta`;
+  const txPrefix = `${storageName}_tx_`;
+  // Kept apart from the meta so checking it is cheap; other tabs see it
+  // change through the storage event.
+  const revisionKey = getRevisionKey(storageName);
+
+  const transactionKeys = () => {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(txPrefix)) keys.push(key);
     }
+    return keys;
   };
-  reader.onerror = (err) => {
-    console.error('File read error:', err);
-    alert('Error reading file.');
+
+  const driver = {
+    name: 'localStorage',
+
+    async read() {
+      const meta = localStorage.getItem(metaKey);
+      if (!meta) return null;
+      return {
+        meta: JSON.parse(meta),
+        transactions: transactionKeys().map(key => JSON.parse(localStorage.getItem(key))),
+      };
+    },
+
+    async write({ meta, put, remove, expectedRevision }) {
+      if (Number(localStorage.getItem(revisionKey) || 0) !== expectedRevision) return false;
+      writeRecords(meta, put, remove);
+      return true;
+    },
+
+    async replace({ meta, transactions }) {
+      transactionKeys().forEach(key => localStorage.removeItem(key));
+      writeRecords(meta, transactions, []);
+    },
+
+    async keep(key, text) {
+      localStorage.setItem(key, text);
+    },
+
+    async destroy() {
+      transactionKeys().forEach(key => localStorage.removeItem(key));
+      localStorage.removeItem(metaKey);
+      localStorage.removeItem(revisionKey);
+    },
   };
 
-  reader.readAsText(file);
-}
+  function writeRecords(meta, put, remove) {
+    put.forEach(tx => localStorage.setItem(txPrefix + tx.id, JSON.stringify(tx)));
+    remove.forEach(id => localStorage.removeItem(txPrefix + id));
+    // Meta last: it lists the transactions, so it never points at missing ones.
+    localStorage.setItem(metaKey, JSON.stringify(meta));
+    localStorage.setItem(revisionKey, String(meta.revision || 0));
+  }
 
-// ===== Bank Operations ====
-function updateBankBalance(dollars) {
-  state.bankBalanceCents = dollarsToCents(dollars);
-  saveState();
-  renderSummary();
+  return driver;
 }
 
-// ===== Envelope operations =====
-function ensureCoreEnvelopes() {
-  // Fix duplicates if they ever exist
-  const incomeEnvs = state.envelopes.filter(e => e.isIncome);
-  const overflowEnvs = state.envelopes.filter(e => e.isOverflow);
+function createIndexedDbDriver(storageName) {
+  // Wrap an IDBRequest or IDBTransaction in a promise.
+  const done = (target) => new Promise((resolve, reject) => {
+    if ('oncomplete' in target) {
+      target.oncomplete = () => resolve();
+      target.onabort = () => reject(target.error || new Error('The write was aborted.'));
+    } else {
+      target.onsuccess = () => resolve(target.result);
+    }
+    target.onerror = () => reject(target.error);
+  });
 
-  if (incomeEnvs.length > 1) {
-    incomeEnvs.slice(1).forEach(e => { e.isIncome = false; });
-  }
-  if (overflowEnvs.length > 1) {
-    overflowEnvs.slice(1).forEach(e => { e.isOverflow = false; });
-  }
+  const request = indexedDB.open(storageName, 1);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    db.createObjectStore('meta');
+    db.createObjectStore('transactions', { keyPath: 'id' });
+  };
 
-  // Ensure exactly one Income
-  let income = state.envelopes.find(e => e.isIncome);
-  if (!income) {
-    income = new Envelope(
-      'env_income',
-      'Income',
-      0,  // no target
-      0,
-      { isIncome: true, isOverflow: false, isCreditCard: false, isActive: true }
-    );
-    state.envelopes.push(income);
-  } else {
-    income.targetCents = 0;
-    income.isActive = true;
-  }
+  return done(request).then(db => {
+    // Let a delete (or a newer version in another tab) go ahead.
+    db.onversionchange = () => db.close();
+    return db;
+  }).then(db => ({
+    name: 'IndexedDB',
+
+    async read() {
+      const tx = db.transaction(['meta', 'transactions'], 'readonly');
+      const [meta, transactions] = await Promise.all([
+        done(tx.objectStore('meta').get('state')),
+        done(tx.objectStore('transactions').getAll()),
+      ]);
+      return meta ? { meta, transactions } : null;
+    },
+
+    // The revision check and the write share one transaction, so no other
+    // tab can write in between.
+    async write({ meta, put, remove, expectedRevision }) {
+      const tx = db.transaction(['meta', 'transactions'], 'readwrite');
+      const metaStore = tx.objectStore('meta');
+      const records = tx.objectStore('transactions');
+      let written = false;
+      metaStore.get('state').onsuccess = (event) => {
+        const current = event.target.result;
+        if ((current ? current.revision || 0 : 0) !== expectedRevision) return;
+        put.forEach(record => records.put(record));
+        remove.forEach(id => records.delete(id));
+        metaStore.put(meta, 'state');
+        written = true;
+      };
+      await done(tx);
+      return written;
+    },
+
+    async replace({ meta, transactions }) {
+      const tx = db.transaction(['meta', 'transactions'], 'readwrite');
+      const records = tx.objectStore('transactions');
+      records.clear();
+      transactions.forEach(record => records.put(record));
+      tx.objectStore('meta').put(meta, 'state');
+      await done(tx);
+    },
+
+    async keep(key, text) {
+      const tx = db.transaction('meta', 'readwrite');
+      tx.objectStore('meta').put(text, key);
+      await done(tx);
+    },
+
+    // Kept copies go too: they live in the same database.
+    async destroy() {
+      db.close();
+      await done(indexedDB.deleteDatabase(storageName));
+    },
+  }));
+}
 
-  // Ensure exactly one Overflow
-  let overflow = state.envelopes.find(e => e.isOverflow);
-  if (!overflow) {
-    overflow = new Envelope(
-      'env_overflow',
-      'Overflow',
-      0,
-      0,
-      { isIncome: false, isOverflow: true, isCreditCard: false, isActive: true }
-    );
-    state.envelopes.push(overflow);
-  } else {
-    overflow.targetCents = 0;
-    overflow.isActive = true;
-  }
+// Build a State from plain, already migrated and validated data.
+function deserializeState(data) {
+  const newState = new State();
 
-  saveState();
+  newState.accounts = data.accounts.map(a => ({ ...a }));
+  newState.openingBalances = {
+    asOf: data.openingBalances.asOf,
+    balances: { ...data.openingBalances.balances },
+  };
+  newState.allocationBatches = data.allocationBatches.map(b => ({
+    ...b,
+    legs: b.legs.map(leg => ({ ...leg })),
+  }));
+  newState.recurring = data.recurring.map(r => ({ ...r, schedule: { ...r.schedule } }));
+  newState.upcoming = data.upcoming.map(u => ({ ...u }));
+  newState.payeeRules = data.payeeRules.map(r => ({ ...r, tags: [...r.tags] }));
+  newState.reconciliations = data.reconciliations.map(r => ({ ...r, transactionIds: [...r.transactionIds] }));
+  newState.settings = { ...newState.settings, ...data.settings };
+
+  newState.envelopes = data.envelopes.map(e =>
+    new Envelope(
+      e.id,
+      e.name,
+      e.targetCents,
+      e.balanceCents,
+      {
+        isIncome: e.isIncome,
+        isOverflow: e.isOverflow,
+        isCreditCard: e.isCreditCard,
+        isActive: e.isActive,
+      },
+      e.allocation,
+      e.rollover,
+      e.cardOwedCents
+    )
+  );
+
+  newState.transactions = data.transactions.map(t =>
+    new Transaction(t)
+  );
+
+  return newState;
 }
 
-function renderCoreEnvelopesPanel() {
-  const income = getIncomeEnvelope();
-  const overflow = getOverflowEnvelope();
+// ===== Encryption =====
 
-  const incomeEl = document.getElementById('income-balance');
-  const overflowEl = document.getElementById('overflow-balance');
+// Backups and (optionally) stored data are encrypted with AES-GCM under a key
+// derived from a passphrase with PBKDF2. Nothing here can recover a lost
+// passphrase.
+const ENCRYPTED_BACKUP_KIND = 'deadSimpleBudgetEncrypted';
+const PBKDF2_ITERATIONS = 310000;
 
-  if (incomeEl) incomeEl.textContent = income ? centsToDollars(income.balanceCents) : '0.00';
-  if (overflowEl) overflowEl.textContent = overflow ? centsToDollars(overflow.balanceCents) : '0.00';
+// Encrypted with the key when encryption at rest is turned on, so a
+// passphrase can be checked without touching the data.
+const ENCRYPTION_CHECK_TEXT = 'dead-simple-budget';
+
+// Key for the open budget while encryption at rest is on, else null.
+let encryptionKey = null;
+
+// Decrypted archive while encryption at rest is on; the stored copy is sealed.
+let archiveText = null;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
 }
 
-function isCoreEnvelope(env) {
-  return env.isIncome || env.isOverflow;
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
 }
 
-function getIncomeEnvelope() {
-  return state.envelopes.find(e => e.isIncome);
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
 }
 
-function getOverflowEnvelope() {
-  return state.envelopes.find(e => e.isOverflow);
+// Every call gets a fresh IV. Returns { iv, data } as base64.
+async function encryptWithKey(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
 }
 
-function addEnvelope(name, targetDollars, flags = {}) {
-  if (!name) return;
-  const id = 'env_' + Date.now() + '_' + Math.random().toString(16).slice(2);
-  const targetCents = dollarsToCents(targetDollars);
-  const env = new Envelope(id, name, targetCents, 0, flags);
-  state.envelopes.push(env);
-  console.log('Envelope added:', env);
-  saveState();
-  renderEnvelopes();
+async function decryptWithKey(key, { iv, data }) {
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+    return new TextDecoder().decode(plain);
+  } catch (err) {
+    throw new Error('Wrong passphrase, or the data is damaged.');
+  }
 }
 
-function addCreditCardEnvelope(name) {
-  const cardName = name || prompt('Credit card name (e.g. "Visa", "Amex")');
-  if (!cardName) return;
+async function encryptBackup(text, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  const { iv, data } = await encryptWithKey(key, text);
+  return {
+    kind: ENCRYPTED_BACKUP_KIND,
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: 'AES-GCM',
+    iv,
+    data,
+  };
+}
 
-  const id = 'card_' + Date.now() + '_' + Math.random().toString(16).slice(2);
-  const env = new Envelope(id, cardName, 0, 0, {
-    isIncome: false,
-    isOverflow: false,
-    isCreditCard: true,
-    isActive: true,
+async function decryptBackup(file, passphrase) {
+  if (file.version !== 1 || file.cipher !== 'AES-GCM' || file.kdf?.name !== 'PBKDF2' || file.kdf.hash !== 'SHA-256') {
+    throw new Error('This encrypted backup uses a format this app does not know.');
+  }
+  const key = await deriveKey(passphrase, base64ToBytes(file.kdf.salt), file.kdf.iterations);
+  return decryptWithKey(key, file);
+}
+
+// Ask until the passphrase opens the backup. Resolves to the plain text, or
+// null if cancelled.
+async function askToDecryptBackup(file) {
+  let message = 'This backup is encrypted. Enter the passphrase it was exported with.';
+  for (;;) {
+    const values = await openFormDialog({
+      title: 'Encrypted backup',
+      message,
+      fields: [{ name: 'passphrase', label: 'Passphrase', type: 'password', required: true }],
+      submitLabel: 'Decrypt',
+    });
+    if (!values) return null;
+    try {
+      return await decryptBackup(file, values.passphrase);
+    } catch (err) {
+      message = `${err.message} Try again.`;
+    }
+  }
+}
+
+function askNewPassphrase(title, message) {
+  return openFormDialog({
+    title,
+    message,
+    fields: [
+      { name: 'passphrase', label: 'Passphrase', type: 'password', required: true, hint: 'At least 8 characters.' },
+      { name: 'repeat', label: 'Repeat passphrase', type: 'password', required: true },
+    ],
+    validate: ({ passphrase, repeat }) => {
+      if (passphrase.length < 8) return { passphrase: 'Use at least 8 characters.' };
+      if (passphrase !== repeat) return { repeat: 'The passphrases do not match.' };
+      return null;
+    },
   });
+}
 
-  state.envelopes.push(env);
-  saveState();
-  renderEnvelopes();
-  renderCreditCards();
-  renderTransactionEnvelopeOptions();
+async function exportEncryptedStateToFile() {
+  const values = await askNewPassphrase(
+    'Export encrypted backup',
+    'The backup can only be imported with this passphrase. It cannot be recovered if you forget it.'
+  );
+  if (!values) return;
+
+  const file = await encryptBackup(JSON.stringify(getBackupData()), values.passphrase);
+  downloadFile(`budget-backup-encrypted-${fileTimestamp()}.json`, JSON.stringify(file), 'application/json');
 }
 
-function deleteEnvelope(id) {
-  const env = state.envelopes.find(e => e.id === id);
-  if (!env) return;
+// ----- Encryption at rest -----
 
-  if (isCoreEnvelope(env)) {
-    alert('Income and Overflow envelopes cannot be deleted.');
-    return;
-  }
+// Salt, iteration count and an encrypted check value; no secrets.
+function getEncryptionLockKey(profileId = profileRegistry.activeId) {
+  return `${getProfileStorageName(profileId)}_encryption`;
+}
 
-  const income = getIncomeEnvelope();
-  if (!income) {
-    alert('Income envelope not found; cannot safely delete.');
-    return;
+function getEncryptionLock(profileId) {
+  try {
+    return JSON.parse(localStorage.getItem(getEncryptionLockKey(profileId)));
+  } catch (err) {
+    console.error('Encryption settings are unreadable', err);
+    return null;
   }
+}
 
-  if (env.balanceCents !== 0) {
-    const amountDollars = env.balanceCents / 100;
-    const ok = confirm(
-      `This envelope has a balance of $${amountDollars.toFixed(2)}.\n` +
-      `If you delete it, that balance will be moved back to Income.\n\n` +
-      `Continue?`
-    );
-    if (!ok) return;
+// Wraps a driver so every record is sealed on the way in and opened on the
+// way out. The revision stays readable for conflict checks, and records
+// that were never sealed are read as they are.
+function createEncryptedDriver(inner, key) {
+  const seal = async (value) => ({ sealed: await encryptWithKey(key, JSON.stringify(value)) });
+  const open = async (record) => record.sealed ? JSON.parse(await decryptWithKey(key, record.sealed)) : record;
+  const sealMeta = async (meta) => ({ revision: meta.revision, ...await seal(meta) });
+  const sealTransaction = async (tx) => ({ id: tx.id, ...await seal(tx) });
+
+  return {
+    name: `${inner.name} (encrypted)`,
+    inner,
+
+    async read() {
+      const stored = await inner.read();
+      if (!stored) return null;
+      return {
+        meta: await open(stored.meta),
+        transactions: await Promise.all(stored.transactions.map(open)),
+      };
+    },
+
+    async write({ meta, put, remove, expectedRevision }) {
+      return inner.write({
+        meta: await sealMeta(meta),
+        put: await Promise.all(put.map(sealTransaction)),
+        remove,
+        expectedRevision,
+      });
+    },
 
-    // Move full balance back to Income as a transaction
-    addTransaction({
-      fromEnvelopeId: env.id,
-      toEnvelopeId: income.id,
-      amountDollars,
-      note: `Auto-merge from deleted envelope "${env.name}"`,
-    });
+    async replace({ meta, transactions }) {
+      await inner.replace({
+        meta: await sealMeta(meta),
+        transactions: await Promise.all(transactions.map(sealTransaction)),
+      });
+    },
 
-    // After addTransaction, env.balanceCents should be zero
-  }
+    keep: (key, text) => inner.keep(key, text),
+    destroy: () => inner.destroy(),
+  };
+}
 
-  // Soft delete: mark inactive
-  env.isActive = false;
+// Ask for the passphrase at startup. Resolves to the key, or null if cancelled.
+async function unlockStorage(lock) {
+  let message = 'This budget is encrypted. Enter its passphrase to open it.';
+  for (;;) {
+    const values = await openFormDialog({
+      title: `Unlock "${getActiveProfile().name}"`,
+      message,
+      fields: [{ name: 'passphrase', label: 'Passphrase', type: 'password', required: true }],
+      submitLabel: 'Unlock',
+    });
+    if (!values) return null;
+    try {
+      const key = await deriveKey(values.passphrase, base64ToBytes(lock.salt), lock.iterations);
+      await decryptWithKey(key, lock.check);
+      return key;
+    } catch (err) {
+      message = 'That passphrase did not unlock the budget. Try again.';
+    }
+  }
+}
 
-  saveState();
-  renderEnvelopes();
-  renderTransactions();
+async function loadEncryptedArchive() {
+  const raw = localStorage.getItem(getArchiveKey());
+  const parsed = raw ? JSON.parse(raw) : null;
+  archiveText = parsed && parsed.sealed ? await decryptWithKey(encryptionKey, parsed.sealed) : raw;
 }
 
-function updateEnvelope(id, updates) {
-  const env = state.envelopes.find(e => e.id === id);
-  if (!env) return;
+// Rewrite everything stored for this budget, sealed under a new passphrase.
+async function enableEncryption(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  const lock = {
+    salt: bytesToBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    check: await encryptWithKey(key, ENCRYPTION_CHECK_TEXT),
+  };
 
-  const core = isCoreEnvelope(env);
+  await storageQueue;
+  const encrypted = createEncryptedDriver(storage, key);
+  const split = splitState(JSON.parse(JSON.stringify(state)));
+  split.meta.revision = storageRevision + 1;
+  await encrypted.replace(split);
+  localStorage.setItem(getEncryptionLockKey(), JSON.stringify(lock));
 
-  if (!core) {
-    if (updates.name != null) env.name = updates.name;
-    if (updates.targetDollars != null) {
-      env.targetCents = dollarsToCents(updates.targetDollars);
-    }
+  const archive = localStorage.getItem(getArchiveKey());
+  if (archive) {
+    localStorage.setItem(getArchiveKey(), JSON.stringify({ sealed: await encryptWithKey(key, archive) }));
   }
 
-  if (updates.isIncome != null) env.isIncome = !!updates.isIncome;
-  if (updates.isOverflow != null) env.isOverflow = !!updates.isOverflow;
-  if (updates.isCreditCard != null) env.isCreditCard = !!updates.isCreditCard;
-  if (updates.isActive != null && !core) env.isActive = !!updates.isActive; // never deactivate core
+  storage = encrypted;
+  storageRevision = split.meta.revision;
+  encryptionKey = key;
+  archiveText = archive;
+  await loadSyncBase();
+  if (syncBase) await saveSyncBase(syncBase);
+  // Undo snapshots would be plain text in session storage.
+  sessionStorage.removeItem(getHistoryKey());
+  announceRevision(storageRevision);
+  renderEncryptionStatus();
+}
 
-  saveState();
-  renderEnvelopes();
+async function disableEncryption() {
+  await storageQueue;
+  const plain = storage.inner;
+  const split = splitState(JSON.parse(JSON.stringify(state)));
+  split.meta.revision = storageRevision + 1;
+  await plain.replace(split);
+  if (archiveText) {
+    localStorage.setItem(getArchiveKey(), archiveText);
+  }
+  localStorage.removeItem(getEncryptionLockKey());
+  await loadSyncBase();
+
+  storage = plain;
+  storageRevision = split.meta.revision;
+  encryptionKey = null;
+  archiveText = null;
+  if (syncBase) await saveSyncBase(syncBase);
+  saveHistory();
+  announceRevision(storageRevision);
+  renderEncryptionStatus();
 }
 
-function getTotalEnvelopesBalanceCents() {
-  return state.envelopes
-    .filter(e => e.isActive)
-    .reduce((sum, e) => sum + e.balanceCents, 0);
+function renderEncryptionStatus() {
+  const status = document.getElementById('encryption-status');
+  const enableBtn = document.getElementById('encryption-enable-btn');
+  const disableBtn = document.getElementById('encryption-disable-btn');
+  if (status) {
+    status.textContent = encryptionKey
+      ? 'Data for this budget is encrypted in this browser. You will be asked for the passphrase when the app opens.'
+      : 'Data for this budget is stored unencrypted in this browser.';
+  }
+  if (enableBtn) enableBtn.hidden = !!encryptionKey;
+  if (disableBtn) disableBtn.hidden = !encryptionKey;
 }
 
-function getTotalNonCardEnvelopesBalanceCents() {
-  return state.envelopes
-    .filter(e => e.isActive && !e.isCreditCard)
-    .reduce((sum, e) => sum + e.balanceCents, 0);
+// ===== Tab sync =====
+
+// Other tabs on the same budget hear about each write through a
+// BroadcastChannel, or through the storage event where there is none.
+let syncChannel = null;
+
+// True while state is being reloaded from storage after another tab wrote.
+let syncReloading = false;
+
+function getRevisionKey(storageName = getProfileStorageName()) {
+  return `${storageName}_revision`;
 }
 
-function getTotalCreditCardBalanceCents() {
-  return state.envelopes
-    .filter(e => e.isActive && e.isCreditCard)
-    .reduce((sum, e) => sum + e.balanceCents, 0);
+function announceRevision(revision) {
+  if (syncChannel) {
+    syncChannel.postMessage({ revision });
+  } else {
+    // Also what the localStorage driver writes; setting it again is harmless.
+    localStorage.setItem(getRevisionKey(), String(revision));
+  }
 }
 
-function getTotalAllocationsCents() {
-  return state.envelopes
-    .filter(env =>
-      !env.isCore &&           // exclude Income & Overflow
-      !env.isCredit &&         // exclude credit cards
-      env.targetCents > 0           // only things the user allocates into
-    )
-    .reduce((sum, env) => sum + env.targetCents, 0);
+function startTabSync() {
+  if (typeof BroadcastChannel !== 'undefined') {
+    syncChannel = new BroadcastChannel(getProfileStorageName());
+    syncChannel.addEventListener('message', (event) => {
+      onRemoteRevision(Number(event.data?.revision));
+    });
+  }
+
+  window.addEventListener('storage', (event) => {
+    if (event.key === getRevisionKey()) {
+      onRemoteRevision(Number(event.newValue));
+    } else if (event.key === PROFILES_KEY) {
+      onRemoteProfilesChange();
+    }
+  });
 }
 
-function cleanupUnusedEnvelopes() {
-  // Build set of all envelope IDs that are still referenced in transactions
-  const usedIds = new Set();
-  for (const tx of state.transactions) {
-    if (tx.fromEnvelopeId) usedIds.add(tx.fromEnvelopeId);
-    if (tx.toEnvelopeId) usedIds.add(tx.toEnvelopeId);
+function onRemoteRevision(revision) {
+  if (!revision || revision <= storageRevision || syncReloading || storageConflict || !storage) return;
+  if (!!getEncryptionLock() !== !!encryptionKey) {
+    notifyError('Encryption was turned on or off in another tab. Reload this tab to keep working; nothing more will be saved here.');
+    storage = null;
+    return;
   }
+  // Our own queued write will find the newer revision and ask what to keep.
+  if (pendingWriteCount > 0) return;
+  reloadFromStorage('Updated with changes from another tab.');
+}
 
-  state.envelopes = state.envelopes.filter(env => {
-    // Never remove core envelopes
-    if (isCoreEnvelope(env)) return true;
+// Replace the in-memory state with what is stored now. The previous state
+// stays one undo away.
+async function reloadFromStorage(message) {
+  syncReloading = true;
+  try {
+    const stored = await storage.read();
+    if (!stored) return;
+
+    const data = migrateState(joinState(stored));
+    const problems = validateState(data);
+    if (problems.length) {
+      console.error('Stored state from another tab is invalid:', problems);
+      notifyError('Another tab saved changes that could not be read:\n\n' + formatProblemList(problems));
+      return;
+    }
 
-    // Keep active envelopes
-    if (env.isActive) return true;
+    state = deserializeState(data);
+    rememberPersisted(stored);
+    storageRevision = stored.meta.revision || 0;
+    recordHistory(JSON.stringify(state), 'Changes from another tab');
+    renderAll();
+    notify(message);
+  } catch (err) {
+    console.error('Failed to reload state', err);
+    notifyError(`Could not load the changes from another tab: ${err.message || err}`);
+  } finally {
+    syncReloading = false;
+  }
+}
 
-    // For inactive envelopes:
-    // - if they are used in any remaining transaction, keep them (for history names)
-    // - if they have non-zero balance (should not happen, but be safe), keep them
-    if (env.balanceCents !== 0) return true;
-    if (usedIds.has(env.id)) return true;
+// A write found that another tab saved first. Ask which version wins.
+async function resolveStorageConflict() {
+  const keepMine = await confirmDialog(
+    'This budget was changed in another tab after this tab last loaded it, ' +
+    'so your latest change was not saved.\n\n' +
+    'Keep this tab\'s version to overwrite the other tab\'s changes, or load the ' +
+    'other tab\'s version (your change stays one Undo away).',
+    { title: 'Changed in another tab', confirmLabel: 'Keep this version', cancelLabel: 'Load the other version' }
+  );
 
-    // Inactive, zero balance, and no references -> safe to permanently remove
-    return false;
-  });
+  // Let the skipped writes drain before writing again.
+  await storageQueue;
+  storageConflict = false;
 
-  saveState();
+  if (keepMine) {
+    try {
+      const stored = await storage.read();
+      storageRevision = stored ? stored.meta.revision || 0 : 0;
+    } catch (err) {
+      console.error('Failed to read the stored revision', err);
+    }
+    persisted = null;
+    saveState('Keep this version');
+  } else {
+    await reloadFromStorage('Loaded the version saved in the other tab.');
+  }
 }
 
-// ===== Transactions operations ====
-function addTransaction({ fromEnvelopeId, toEnvelopeId, amountDollars, note, log = true }) {
-  const amountCents = dollarsToCents(amountDollars);
-  if (!amountCents) return;
+// Profiles added, renamed or deleted in another tab.
+function onRemoteProfilesChange() {
+  const activeId = profileRegistry.activeId;
+  loadProfiles();
+  if (!getProfile(activeId)) {
+    notifyError('This budget was deleted in another tab. Nothing more will be saved here.');
+    storage = null;
+    profileRegistry.activeId = activeId;
+    return;
+  }
+  profileRegistry.activeId = activeId;
+  renderProfiles();
+}
 
-  const tx = new Transaction({
-    id: crypto.randomUUID ? crypto.randomUUID() : 'tx_' + Date.now(),
-    timestamp: new Date().toISOString(),
-    fromEnvelopeId: fromEnvelopeId || null,
-    toEnvelopeId: toEnvelopeId || null,
-    amountCents,
-    note: note || '',
+// ===== Sync =====
+
+// Optional sync through a server the household runs itself (see
+// sync-server.js). The budget travels as one JSON document with a revision
+// number. Each device remembers the last document it synced and merges both
+// sides' changes since then item by item, keyed on ids. Archived months stay
+// on the device that archived them.
+const SYNC_DOCUMENT_KIND = 'deadSimpleBudgetSync';
+
+// A REST endpoint rejects a document whose revision is not one past its own
+// with 409 Conflict; a WebDAV server is given the ETag in If-Match and
+// answers 412.
+const SYNC_MODES = {
+  rest: 'REST (JSON)',
+  webdav: 'WebDAV',
+};
+
+// Lists merged item by item, and the running balances on their items. A
+// balance takes both sides' changes added together.
+const SYNC_LISTS = {
+  envelopes: { label: 'Envelope', balances: ['balanceCents', 'cardOwedCents'] },
+  accounts: { label: 'Account', balances: ['balanceCents'] },
+  transactions: { label: 'Transaction', balances: [] },
+  recurring: { label: 'Recurring transaction', balances: [] },
+  upcoming: { label: 'Upcoming transaction', balances: [] },
+  payeeRules: { label: 'Payee rule', balances: [] },
+  reconciliations: { label: 'Balance update', balances: [] },
+  allocationBatches: { label: 'Auto allocation', balances: [] },
+};
+
+// Settings merge one by one; names for the ones that can conflict.
+const SYNC_SETTING_LABELS = {
+  transactionRetentionDays: 'Days to keep transactions',
+  allocation: 'Auto allocation options',
+  period: 'Budget period',
+};
+
+// How long a save waits for more changes before syncing them.
+const SYNC_DELAY_MS = 5000;
+
+// How often automatic sync looks for changes from other devices.
+const SYNC_INTERVAL_MS = 60000;
+
+// Settings for the open budget: { url, mode, username, password, auto }, or
+// null while sync is off.
+let syncSettings = null;
+
+// Last document this device synced: { revision, storageRevision, state }.
+let syncBase = null;
+
+// What the toolbar shows. `phase` is 'off', 'idle', 'syncing' or 'error'.
+let syncStatus = { phase: 'off', message: '' };
+
+// Items changed on both sides, and which version the merge kept:
+// { list, id, kept: 'mine' | 'theirs', other }.
+let syncConflicts = [];
+
+// The sync in progress; asking again waits for it.
+let syncRunning = null;
+
+let syncTimer = null;
+
+function getSyncSettingsKey(profileId = profileRegistry.activeId) {
+  return `${getProfileStorageName(profileId)}_sync`;
+}
+
+function getSyncBaseKey(profileId = profileRegistry.activeId) {
+  return `${getProfileStorageName(profileId)}_syncBase`;
+}
+
+function loadSyncSettings() {
+  try {
+    syncSettings = JSON.parse(localStorage.getItem(getSyncSettingsKey()));
+  } catch (err) {
+    console.error('Sync settings are unreadable', err);
+    syncSettings = null;
+  }
+}
+
+// Read fresh before every sync: another tab may have synced since.
+async function loadSyncBase() {
+  syncBase = null;
+  const raw = localStorage.getItem(getSyncBaseKey());
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    syncBase = parsed.sealed ? JSON.parse(await decryptWithKey(encryptionKey, parsed.sealed)) : parsed;
+  } catch (err) {
+    // The next sync treats this device as new and asks which budget to use.
+    console.error('Sync base is unreadable', err);
+  }
+}
+
+// Sealed like the rest of the budget while encryption at rest is on.
+async function saveSyncBase(base) {
+  syncBase = base;
+  if (!base) {
+    localStorage.removeItem(getSyncBaseKey());
+    return;
+  }
+  const text = JSON.stringify(base);
+  localStorage.setItem(
+    getSyncBaseKey(),
+    encryptionKey ? JSON.stringify({ sealed: await encryptWithKey(encryptionKey, text) }) : text
+  );
+}
+
+function syncRequest(method, headers = {}, body) {
+  const { url, username, password } = syncSettings;
+  if (username || password) {
+    headers.Authorization = 'Basic ' + bytesToBase64(new TextEncoder().encode(`${username}:${password}`));
+  }
+  return fetch(url, { method, headers, body, cache: 'no-store' }).catch(() => {
+    throw new Error('the sync server could not be reached');
   });
+}
 
-  applyTransactionToBalances(tx, +1);
+function describeSyncResponse(response) {
+  return `the sync server answered ${response.status} ${response.statusText}`.trim();
+}
 
-  if (log) {
-    state.transactions.push(tx);
+// Resolves to { doc, etag }; `doc` is null when nothing was synced there yet.
+async function fetchSyncDocument() {
+  const response = await syncRequest('GET', { Accept: 'application/json' });
+  if (response.status === 404) return { doc: null, etag: null };
+  if (!response.ok) throw new Error(describeSyncResponse(response));
+
+  let doc;
+  try {
+    doc = await response.json();
+  } catch (err) {
+    doc = null;
+  }
+  if (!doc || doc.kind !== SYNC_DOCUMENT_KIND || !Number.isInteger(doc.revision) || !doc.state) {
+    throw new Error('the sync address does not hold a budget from this app');
   }
+  return { doc, etag: response.headers.get('ETag') };
+}
 
-  saveState();
-  renderEnvelopes();
+// Resolves to false when someone else wrote since `previous` was fetched;
+// nothing was written then. A WebDAV server that hides its ETag can't be
+// asked to check, so the write goes through.
+async function pushSyncDocument(doc, previous) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (syncSettings.mode === 'webdav') {
+    if (previous.etag) headers['If-Match'] = previous.etag;
+    else if (!previous.doc) headers['If-None-Match'] = '*';
+  }
+  const response = await syncRequest('PUT', headers, JSON.stringify(doc));
+  if (response.status === 409 || response.status === 412) return false;
+  if (!response.ok) throw new Error(describeSyncResponse(response));
+  return true;
+}
 
-  if (log) {
-    renderTransactions();
+// ----- Merging -----
+
+// JSON with sorted keys, so the same item always compares equal.
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
   }
+  return JSON.stringify(value ?? null);
 }
 
-function applyTransactionToBalances(tx, direction) {
-  const sign = direction; // +1 apply, -1 rollback
+function withoutFields(item, fields) {
+  const copy = { ...item };
+  fields.forEach(field => { delete copy[field]; });
+  return copy;
+}
+
+// Three-way merge of one value (null when absent): a side that left it alone
+// takes the other side's change. When both changed it differently, the
+// local value wins and `conflict` is set.
+function mergeSyncValue(base, local, remote, key = stableJson) {
+  const [b, l, r] = [base, local, remote].map(value => value == null ? null : key(value));
+  if (l === r || r === b) return { value: local };
+  if (l === b) return { value: remote };
+  return { value: local, conflict: true };
+}
+
+function mergeSyncList(name, base, local, remote, conflicts) {
+  const key = item => stableJson(withoutFields(item, SYNC_LISTS[name].balances));
+  const byId = items => new Map((items || []).map(item => [item.id, item]));
+  const [baseById, localById, remoteById] = [base, local, remote].map(byId);
+
+  const merged = [];
+  new Set([...localById.keys(), ...remoteById.keys()]).forEach(id => {
+    const mine = localById.get(id) || null;
+    const theirs = remoteById.get(id) || null;
+    const { value, conflict } = mergeSyncValue(baseById.get(id) || null, mine, theirs, key);
+    if (conflict && !value) {
+      // Deleted here but changed there: keep the change.
+      conflicts.push({ list: name, id, kept: 'theirs', other: null });
+      merged.push({ ...theirs });
+      return;
+    }
+    if (conflict) conflicts.push({ list: name, id, kept: 'mine', other: theirs });
+    if (value) merged.push({ ...value });
+  });
+
+  // Both sides' balance changes since the base, added together.
+  SYNC_LISTS[name].balances.forEach(field => {
+    merged.forEach(item => {
+      const b = baseById.get(item.id);
+      const l = localById.get(item.id);
+      const r = remoteById.get(item.id);
+      item[field] = b && l && r ? l[field] + r[field] - b[field] : (l || r)[field];
+    });
+  });
+  return merged;
+}
 
-  if (tx.fromEnvelopeId) {
-    const from = state.envelopes.find(e => e.id === tx.fromEnvelopeId);
-    if (from) {
-      from.balanceCents -= sign * tx.amountCents;
+// Base transactions a side has archived since: gone from its ledger and
+// older than its opening balances.
+function getSyncArchivedIds(base, side) {
+  const asOf = side.openingBalances.asOf;
+  const ledgerIds = new Set(side.transactions.map(tx => tx.id));
+  return new Set(base.transactions
+    .filter(tx => asOf && !ledgerIds.has(tx.id) && tx.timestamp < asOf)
+    .map(tx => tx.id));
+}
+
+// Merge the local budget with the server's, both changed since `base` (all
+// plain data at the current schema). Returns the merged data, the conflicts,
+// and the transactions only the other side archived, for this device's
+// archive.
+function mergeSyncStates(base, local, remote) {
+  const conflicts = [];
+  const data = {};
+
+  // Archiving wins over any other change to a transaction.
+  const archivedHere = getSyncArchivedIds(base, local);
+  const archivedThere = getSyncArchivedIds(base, remote);
+  const isLive = tx => !archivedHere.has(tx.id) && !archivedThere.has(tx.id);
+  const localIds = new Set(local.transactions.map(tx => tx.id));
+  const archived = base.transactions.filter(tx => archivedThere.has(tx.id) && localIds.has(tx.id));
+
+  // Both devices posting the same recurring or period-close entry gives two
+  // transactions under different ids; keep one. What people enter is always
+  // kept, even when it matches: two of them can log the same coffee.
+  const baseIds = new Set(base.transactions.map(tx => tx.id));
+  const getPostingKey = tx => {
+    if (tx.recurringId) return `recurring:${tx.recurringId}:${tx.timestamp}`;
+    if (isPeriodCloseSweep(tx)) return `close:${stableJson(withoutFields(tx, ['id']))}`;
+    return null;
+  };
+  const postedHere = new Set(local.transactions
+    .filter(tx => !baseIds.has(tx.id))
+    .map(getPostingKey)
+    .filter(Boolean));
+  const isPostedHereToo = tx => !baseIds.has(tx.id) && !localIds.has(tx.id) &&
+    postedHere.has(getPostingKey(tx));
+
+  Object.keys(local).forEach(field => {
+    if (field === 'transactions') {
+      data.transactions = mergeSyncList(
+        field,
+        base.transactions.filter(isLive),
+        local.transactions.filter(isLive),
+        remote.transactions.filter(tx => isLive(tx) && !isPostedHereToo(tx)),
+        conflicts
+      );
+    } else if (SYNC_LISTS[field]) {
+      data[field] = mergeSyncList(field, base[field], local[field], remote[field], conflicts);
+    } else if (field === 'openingBalances') {
+      // Archived on both sides means folded in twice; take one out.
+      const balances = {};
+      const envIds = new Set([local, remote, base].flatMap(side => Object.keys(side.openingBalances.balances)));
+      envIds.forEach(id => {
+        balances[id] = (local.openingBalances.balances[id] || 0) + (remote.openingBalances.balances[id] || 0) -
+          (base.openingBalances.balances[id] || 0);
+      });
+      base.transactions
+        .filter(tx => archivedHere.has(tx.id) && archivedThere.has(tx.id))
+        .forEach(tx => getTransactionDeltas(tx).forEach(([id, delta]) => { balances[id] -= delta; }));
+      const asOf = [local, remote].map(side => side.openingBalances.asOf).filter(Boolean).sort().pop() || null;
+      data.openingBalances = { asOf, balances };
+    } else if (field === 'settings') {
+      data.settings = {};
+      Object.keys({ ...local.settings, ...remote.settings }).forEach(name => {
+        const { value, conflict } = mergeSyncValue(base.settings[name], local.settings[name], remote.settings[name]);
+        if (conflict) conflicts.push({ list: 'settings', id: name, kept: 'mine', other: remote.settings[name] });
+        if (value !== undefined) data.settings[name] = value;
+      });
+    } else {
+      const { value, conflict } = mergeSyncValue(base[field], local[field], remote[field]);
+      if (conflict) conflicts.push({ list: field, id: null, kept: 'mine', other: remote[field] });
+      data[field] = value;
     }
+  });
+
+  // The balances above count every transaction change on both sides. Where
+  // the merge kept something else, swap in what it kept. Archived
+  // transactions still count, through the opening balances, as they were.
+  const byId = (items, archivedIds) => new Map([
+    ...items.map(tx => [tx.id, tx]),
+    ...base.transactions.filter(tx => archivedIds.has(tx.id)).map(tx => [tx.id, tx]),
+  ]);
+  const allArchived = new Set([...archivedHere, ...archivedThere]);
+  const versions = [
+    [byId(data.transactions, allArchived), +1],
+    [byId(local.transactions, archivedHere), -1],
+    [byId(remote.transactions, archivedThere), -1],
+    [byId(base.transactions, new Set()), +1],
+  ];
+  const ids = new Set(versions.flatMap(([txs]) => [...txs.keys()]));
+  ids.forEach(id => {
+    versions.forEach(([txs, direction]) => {
+      if (txs.has(id)) applyTransactionToBalances(txs.get(id), direction, data);
+    });
+  });
+
+  return { data, conflicts, archived };
+}
+
+// ----- Running a sync -----
+
+// Pull, merge and push until the server has what this device has. Syncs in
+// other tabs wait their turn. `manual` syncs report failures out loud.
+function syncNow(manual = false) {
+  if (!syncSettings) return Promise.resolve(false);
+  if (!syncRunning) {
+    const run = () => runSync(manual);
+    syncRunning = (navigator.locks ? navigator.locks.request(getSyncBaseKey(), run) : run())
+      .finally(() => { syncRunning = null; });
+  }
+  return syncRunning;
+}
+
+async function runSync(manual) {
+  if (!storage || saveBlockedReason) {
+    setSyncStatus('error', 'Sync is paused because this budget cannot be saved.');
+    return false;
   }
 
-  if (tx.toEnvelopeId) {
-    const to = state.envelopes.find(e => e.id === tx.toEnvelopeId);
-    if (to) {
-      to.balanceCents += sign * tx.amountCents;
+  setSyncStatus('syncing', 'Syncing…');
+  try {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await storageQueue;
+      await loadSyncBase();
+      if (syncBase && syncBase.storageRevision > storageRevision) {
+        // Another tab synced and this one hasn't loaded its result yet.
+        setSyncStatus('idle', 'Waiting for another tab to finish syncing.');
+        return false;
+      }
+
+      const localJson = JSON.stringify(state);
+      const remote = await fetchSyncDocument();
+      let remoteData = null;
+      if (remote.doc) {
+        remoteData = migrateState(remote.doc.state);
+        const problems = validateState(remoteData);
+        if (problems.length) {
+          throw new Error('the budget on the server could not be read:\n\n' + formatProblemList(problems));
+        }
+      }
+
+      let merged = JSON.parse(localJson);
+      let conflicts = [];
+      let archived = [];
+      if (remoteData && !syncBase) {
+        // First sync of this device with a budget already on the server
+        if (!await confirmFirstSync()) {
+          setSyncStatus('idle', 'Not synced yet.');
+          return false;
+        }
+        merged = remoteData;
+      } else if (remoteData && remote.doc.revision !== syncBase.revision) {
+        ({ data: merged, conflicts, archived } = mergeSyncStates(syncBase.state, merged, remoteData));
+        const problems = validateState(merged);
+        if (problems.length) {
+          throw new Error('the merged budget did not pass its checks:\n\n' + formatProblemList(problems));
+        }
+      }
+
+      // Changed here while talking to the server: start over with the change.
+      if (JSON.stringify(state) !== localJson) continue;
+
+      if (stableJson(merged) !== stableJson(JSON.parse(localJson))) {
+        if (archived.length) addToArchive(archived);
+        state = deserializeState(merged);
+        saveState('Changes from sync');
+        renderAll();
+      }
+      if (conflicts.length) addSyncConflicts(conflicts);
+
+      const synced = JSON.parse(JSON.stringify(state));
+      let revision = remote.doc ? remote.doc.revision : 0;
+      if (!remoteData || stableJson(synced) !== stableJson(remoteData)) {
+        revision++;
+        const doc = { kind: SYNC_DOCUMENT_KIND, revision, savedAt: new Date().toISOString(), state: synced };
+        if (!await pushSyncDocument(doc, remote)) continue;
+      }
+
+      await saveSyncBase({ revision, storageRevision, state: synced });
+      setSyncStatus('idle', `Synced at ${new Date().toLocaleTimeString()}.`);
+      return true;
     }
+    throw new Error('the budget on the server kept changing; try again in a moment');
+  } catch (err) {
+    console.error('Sync failed', err);
+    const message = err.message || String(err);
+    setSyncStatus('error', `Sync failed: ${message}`);
+    if (manual) notifyError(`Sync failed: ${message}`);
+    return false;
   }
 }
 
-function updateTransaction(id, updates) {
-  const index = state.transactions.findIndex(t => t.id === id);
-  if (index === -1) return;
+// A fresh budget here just takes the server's; anything else has to be
+// given up on purpose.
+async function confirmFirstSync() {
+  if (state.transactions.length === 0 && state.envelopes.every(isCoreEnvelope)) return true;
+  return confirmDialog(
+    'The sync address already holds a budget. Replace the budget in this browser with it?\n\n' +
+    'What is here now stays one Undo away; export a backup first if you want to keep it.',
+    { title: 'Use the shared budget?', confirmLabel: 'Use the shared budget', cancelLabel: 'Cancel' }
+  );
+}
 
-  const oldTx = state.transactions[index];
+// After a save; several saves in a row give one sync.
+function scheduleSync() {
+  if (!syncSettings || !syncSettings.auto) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => syncNow(), SYNC_DELAY_MS);
+}
 
-  // 1) rollback old
-  applyTransactionToBalances(oldTx, -1);
+function startSync() {
+  setInterval(() => {
+    if (syncSettings && syncSettings.auto && navigator.onLine !== false) syncNow();
+  }, SYNC_INTERVAL_MS);
+  window.addEventListener('online', scheduleSync);
+  if (syncSettings && syncSettings.auto) syncNow();
+}
 
-  // 2) build updated transaction
-  const newTx = new Transaction({
-    id: oldTx.id,
-    timestamp: oldTx.timestamp, // keep original timestamp
-    fromEnvelopeId: updates.fromEnvelopeId !== undefined ? updates.fromEnvelopeId : oldTx.fromEnvelopeId,
-    toEnvelopeId: updates.toEnvelopeId !== undefined ? updates.toEnvelopeId : oldTx.toEnvelopeId,
-    amountCents: updates.amountDollars !== undefined
-      ? dollarsToCents(updates.amountDollars)
-      : oldTx.amountCents,
-    note: updates.note !== undefined ? updates.note : oldTx.note,
+function setSyncStatus(phase, message) {
+  syncStatus = { phase, message };
+  renderSyncStatus();
+}
+
+// ----- Settings and conflicts -----
+
+async function openSyncSettings() {
+  const current = syncSettings || { url: '', mode: 'rest', username: '', password: '', auto: true };
+  const values = await openFormDialog({
+    title: 'Sync settings',
+    message: 'Sync this budget through a server you run yourself, such as sync-server.js from this app. ' +
+      'Everyone sharing the budget uses the same address. Data is sent as plain JSON, so use https:// ' +
+      'outside your home network.',
+    fields: [
+      { name: 'url', label: 'Address', type: 'text', value: current.url, required: true, hint: 'For example http://192.168.1.20:8765/budget.json' },
+      {
+        name: 'mode', label: 'Server type', type: 'select', value: current.mode,
+        options: Object.entries(SYNC_MODES).map(([value, label]) => ({ value, label })),
+      },
+      { name: 'username', label: 'User name', type: 'text', value: current.username, hint: 'Only if the server asks for one.' },
+      { name: 'password', label: 'Password', type: 'password', value: current.password, hint: 'Kept in this browser.' },
+      {
+        name: 'auto', label: 'Sync', type: 'select', value: current.auto ? 'yes' : 'no',
+        options: [{ value: 'yes', label: 'After every change' }, { value: 'no', label: 'Only when I press Sync' }],
+      },
+    ],
+    submitLabel: 'Save and sync',
+    validate: ({ url }) => {
+      try {
+        if (/^https?:$/.test(new URL(url).protocol)) return null;
+      } catch (err) {
+        // Reported below
+      }
+      return { url: 'Enter a full address starting with http:// or https://.' };
+    },
   });
+  if (!values) return;
 
-  // 3) apply new
-  applyTransactionToBalances(newTx, +1);
+  if (!syncSettings || values.url !== syncSettings.url) {
+    // A different server starts from scratch.
+    await saveSyncBase(null);
+    syncConflicts = [];
+  }
+  syncSettings = { ...values, auto: values.auto === 'yes' };
+  localStorage.setItem(getSyncSettingsKey(), JSON.stringify(syncSettings));
+  renderSyncSettings();
+  if (await syncNow(true)) notify('This budget is synced.');
+}
 
-  // 4) store and re-render
-  state.transactions[index] = newTx;
-  saveState();
-  renderEnvelopes();
-  renderTransactions();
+async function disableSync() {
+  const ok = await confirmDialog(
+    'Stop syncing this budget? Everything stays in this browser and on the server.',
+    { title: 'Turn off sync', confirmLabel: 'Turn off' }
+  );
+  if (!ok) return;
+
+  await syncRunning;
+  clearTimeout(syncTimer);
+  localStorage.removeItem(getSyncSettingsKey());
+  await saveSyncBase(null);
+  syncSettings = null;
+  syncConflicts = [];
+  setSyncStatus('off', '');
+  renderSyncSettings();
 }
 
-function deleteTransaction(id) {
-  const index = state.transactions.findIndex(t => t.id === id);
-  if (index === -1) return;
+function addSyncConflicts(conflicts) {
+  const key = c => `${c.list}:${c.id}`;
+  const added = new Set(conflicts.map(key));
+  syncConflicts = [...syncConflicts.filter(c => !added.has(key(c))), ...conflicts];
+}
+
+function describeSyncItem(list, item) {
+  if (!item) return '(deleted)';
+  if (list === 'transactions') {
+    const fromName = item.splits
+      ? item.splits.map(line => envelopeNameIn(line.envelopeId, state.envelopes)).join(' + ')
+      : envelopeNameIn(item.fromEnvelopeId, state.envelopes) || 'Add to';
+    const toName = envelopeNameIn(item.toEnvelopeId, state.envelopes) || 'Spent';
+    const dateStr = new Date(item.timestamp).toLocaleDateString();
+    return `${dateStr} | $${centsToDollars(item.amountCents)} | ${fromName} → ${toName} | ${item.note}`;
+  }
+  if (list === 'payeeRules') return describeRule(item);
+  return item.name || item.note || item.dueDate || item.timestamp || item.id;
+}
+
+function describeSyncConflict(conflict) {
+  if (conflict.list === 'settings') {
+    const label = SYNC_SETTING_LABELS[conflict.id] || conflict.id;
+    return `"${label}" was changed on this device and another one. This device's setting was kept.`;
+  }
+  if (!SYNC_LISTS[conflict.list]) {
+    return `"${conflict.list}" was changed on this device and another one. This device's version was kept.`;
+  }
+  const label = SYNC_LISTS[conflict.list].label;
+  const current = state[conflict.list].find(item => item.id === conflict.id);
+  if (conflict.kept === 'theirs') {
+    return `${label} "${describeSyncItem(conflict.list, current)}" was deleted on this device but changed on another one. The change was kept.`;
+  }
+  return `${label} "${describeSyncItem(conflict.list, current)}" was changed on this device and another one ` +
+    `("${describeSyncItem(conflict.list, conflict.other)}" there). This device's version was kept.`;
+}
+
+// Replace the version the merge kept with the other device's.
+function useOtherSyncVersion(conflict) {
+  const { list, id, other } = conflict;
+  if (list === 'settings') {
+    state.settings[id] = JSON.parse(JSON.stringify(other));
+  } else if (!SYNC_LISTS[list]) {
+    state[list] = JSON.parse(JSON.stringify(other));
+  } else {
+    const items = state[list];
+    const index = items.findIndex(item => item.id === id);
+    const current = items[index];
+    if (list === 'transactions') {
+      if (current) applyTransactionToBalances(current, -1);
+      const tx = other ? new Transaction(other) : null;
+      if (tx) applyTransactionToBalances(tx, +1);
+      if (index === -1) {
+        if (tx) items.push(tx);
+      } else if (tx) {
+        items[index] = tx;
+      } else {
+        items.splice(index, 1);
+      }
+    } else if (current && other) {
+      // Balances follow the transactions, not either device's copy.
+      Object.assign(current, JSON.parse(JSON.stringify(withoutFields(other, SYNC_LISTS[list].balances))));
+    } else if (!other && index !== -1) {
+      items.splice(index, 1);
+    }
+  }
+  syncConflicts = syncConflicts.filter(c => c !== conflict);
+  saveState('Use version from another device');
+  renderAll();
+}
+
+function showSyncConflicts() {
+  return showDialog('Sync conflicts', null, ({ body, close }) => {
+    const render = () => {
+      body.innerHTML = '';
+      const list = document.createElement('ul');
+      list.className = 'sync-conflict-list';
+      syncConflicts.forEach(conflict => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = describeSyncConflict(conflict);
+        item.appendChild(text);
+
+        // Envelopes and accounts are only ever retired through their own flows.
+        const canSwap = conflict.kept === 'mine' &&
+          (conflict.other || !['envelopes', 'accounts'].includes(conflict.list));
+        if (canSwap) {
+          const useBtn = document.createElement('button');
+          useBtn.textContent = 'Use the other version';
+          useBtn.addEventListener('click', () => {
+            useOtherSyncVersion(conflict);
+            renderSyncStatus();
+            render();
+          });
+          item.appendChild(useBtn);
+        }
+        const dismissBtn = document.createElement('button');
+        dismissBtn.textContent = 'Dismiss';
+        dismissBtn.addEventListener('click', () => {
+          syncConflicts = syncConflicts.filter(c => c !== conflict);
+          renderSyncStatus();
+          render();
+        });
+        item.appendChild(dismissBtn);
+        list.appendChild(item);
+      });
+      if (!syncConflicts.length) {
+        const done = document.createElement('p');
+        done.textContent = 'No conflicts left.';
+        body.appendChild(done);
+      } else {
+        body.appendChild(list);
+      }
+
+      const buttons = document.createElement('div');
+      buttons.className = 'form-buttons';
+      const closeBtn = document.createElement('button');
+      closeBtn.textContent = 'Close';
+      closeBtn.addEventListener('click', () => close(null));
+      buttons.appendChild(closeBtn);
+      body.appendChild(buttons);
+    };
+    render();
+  });
+}
+
+function renderSyncStatus() {
+  const syncBtn = document.getElementById('sync-btn');
+  const conflictsBtn = document.getElementById('sync-conflicts-btn');
+  if (syncBtn) {
+    syncBtn.hidden = !syncSettings;
+    syncBtn.disabled = syncStatus.phase === 'syncing';
+    syncBtn.textContent = {
+      syncing: 'Syncing…',
+      error: 'Sync failed',
+    }[syncStatus.phase] || 'Sync';
+    syncBtn.title = syncStatus.message || 'Sync now';
+    syncBtn.classList.toggle('sync-error', syncStatus.phase === 'error');
+  }
+  if (conflictsBtn) {
+    conflictsBtn.hidden = syncConflicts.length === 0;
+    conflictsBtn.textContent = `${syncConflicts.length} sync conflict${syncConflicts.length === 1 ? '' : 's'}`;
+  }
+}
+
+function renderSyncSettings() {
+  const status = document.getElementById('sync-settings-status');
+  const setupBtn = document.getElementById('sync-setup-btn');
+  const disableBtn = document.getElementById('sync-disable-btn');
+  if (status) {
+    status.textContent = syncSettings
+      ? `Synced with ${syncSettings.url} (${SYNC_MODES[syncSettings.mode]}), ` +
+        (syncSettings.auto ? 'after every change.' : 'when you press Sync.')
+      : 'This budget is only stored in this browser.';
+  }
+  if (setupBtn) setupBtn.textContent = syncSettings ? 'Change sync settings' : 'Set up sync';
+  if (disableBtn) disableBtn.hidden = !syncSettings;
+  renderSyncStatus();
+}
+
+// ===== Profiles =====
+
+// Separate budgets in one browser, each with its own storage, archive and
+// undo history. The registry itself lives in localStorage:
+//   { activeId, profiles: [{ id, name }] }
+const PROFILES_KEY = 'deadSimpleBudgetProfiles';
+
+// The first profile keeps the storage names used before profiles existed.
+const DEFAULT_PROFILE_ID = 'default';
+
+// Marks an export that holds every profile instead of one budget.
+const PROFILE_BUNDLE_KIND = 'deadSimpleBudgetProfiles';
+
+let profileRegistry = { activeId: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: 'My budget' }] };
+
+function loadProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (saved && Array.isArray(saved.profiles) && saved.profiles.length) {
+      profileRegistry = saved;
+      if (!getProfile(saved.activeId)) saved.activeId = saved.profiles[0].id;
+    }
+  } catch (err) {
+    console.error('Profile list is unreadable; using the default profile', err);
+  }
+}
+
+function saveProfiles() {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profileRegistry));
+}
+
+function getProfile(id) {
+  return profileRegistry.profiles.find(p => p.id === id) || null;
+}
+
+function getActiveProfile() {
+  return getProfile(profileRegistry.activeId);
+}
+
+function getProfileStorageName(id = profileRegistry.activeId) {
+  return id === DEFAULT_PROFILE_ID ? STORAGE_NAME : `${STORAGE_NAME}_${id}`;
+}
+
+function getArchiveKey(id = profileRegistry.activeId) {
+  return id === DEFAULT_PROFILE_ID ? ARCHIVE_KEY : `${ARCHIVE_KEY}_${id}`;
+}
+
+// "Household" → "Household (2)" when the name is taken.
+function getUniqueProfileName(name) {
+  const taken = new Set(profileRegistry.profiles.map(p => p.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+function addProfile(name) {
+  const profile = {
+    id: 'profile_' + Date.now() + '_' + Math.random().toString(16).slice(2),
+    name: getUniqueProfileName(name),
+  };
+  profileRegistry.profiles.push(profile);
+  saveProfiles();
+  return profile;
+}
+
+// Write plain budget data (a backup, with an optional archive) into a profile.
+async function writeProfileData(profileId, data) {
+  const { archive, ...stateData } = data;
+  const driver = await openStorage(getProfileStorageName(profileId));
+  await driver.replace(splitState(JSON.parse(JSON.stringify(stateData))));
+  if (archive) {
+    localStorage.setItem(getArchiveKey(profileId), JSON.stringify(archive));
+  } else {
+    localStorage.removeItem(getArchiveKey(profileId));
+  }
+}
+
+// Plain data of any profile, as stored (not migrated), or null if it is empty.
+async function readProfileData(profileId) {
+  if (profileId === profileRegistry.activeId) return getBackupData();
+
+  const driver = await openStorage(getProfileStorageName(profileId));
+  const stored = await driver.read();
+  if (!stored) return null;
+  const data = joinState(stored);
+  const archive = localStorage.getItem(getArchiveKey(profileId));
+  if (archive) data.archive = JSON.parse(archive);
+  return data;
+}
+
+// Everything is reloaded from the new profile's storage.
+async function switchProfile(id) {
+  if (!getProfile(id)) return;
+  await storageQueue;
+  profileRegistry.activeId = id;
+  saveProfiles();
+  location.reload();
+}
+
+async function duplicateProfile(name) {
+  const profile = addProfile(name);
+  try {
+    await writeProfileData(profile.id, getBackupData());
+  } catch (err) {
+    profileRegistry.profiles = profileRegistry.profiles.filter(p => p.id !== profile.id);
+    saveProfiles();
+    throw err;
+  }
+  return profile;
+}
+
+function renameProfile(id, name) {
+  const profile = getProfile(id);
+  if (!profile || !name) return;
+  profile.name = getUniqueProfileName(name);
+  saveProfiles();
+  renderProfiles();
+}
+
+async function deleteProfile(id) {
+  if (!getProfile(id)) return;
+  if (profileRegistry.profiles.length === 1) {
+    notifyError('You need at least one budget.');
+    return;
+  }
+
+  if (id === profileRegistry.activeId) {
+    // Stop writing to it before it goes away.
+    await storageQueue;
+    storage = null;
+  }
+  const driver = await openStorage(getProfileStorageName(id));
+  await driver.destroy();
+  localStorage.removeItem(getArchiveKey(id));
+  localStorage.removeItem(getEncryptionLockKey(id));
+  localStorage.removeItem(getSyncSettingsKey(id));
+  localStorage.removeItem(getSyncBaseKey(id));
+  sessionStorage.removeItem(getHistoryKey(id));
+
+  profileRegistry.profiles = profileRegistry.profiles.filter(p => p.id !== id);
+  if (id === profileRegistry.activeId) {
+    await switchProfile(profileRegistry.profiles[0].id);
+    return;
+  }
+  saveProfiles();
+  renderProfiles();
+}
+
+// Other encrypted budgets can't be read without their passphrase, so they
+// are left out; open each one to export it.
+function exportAllProfiles() {
+  const isLocked = profile => profile.id !== profileRegistry.activeId && getEncryptionLock(profile.id);
+  const skipped = profileRegistry.profiles.filter(isLocked);
+
+  return Promise.all(profileRegistry.profiles.filter(p => !isLocked(p)).map(async profile => ({
+    name: profile.name,
+    data: await readProfileData(profile.id),
+  }))).then(profiles => {
+    const bundle = {
+      kind: PROFILE_BUNDLE_KIND,
+      exportedAt: new Date().toISOString(),
+      profiles: profiles.filter(p => p.data),
+    };
+    downloadFile(`budget-all-profiles-${fileTimestamp()}.json`, JSON.stringify(bundle), 'application/json');
+    if (skipped.length) {
+      notify(`Left out encrypted budget(s): ${skipped.map(p => p.name).join(', ')}. Open each one to export it.`);
+    }
+  });
+}
+
+// Every budget in the bundle becomes a new profile; nothing existing changes.
+async function importProfileBundle(bundle) {
+  const entries = Array.isArray(bundle.profiles) ? bundle.profiles : [];
+  const problems = [];
+  const budgets = [];
+  entries.forEach((entry, i) => {
+    const name = typeof entry?.name === 'string' && entry.name.trim() ? entry.name.trim() : `Imported budget ${i + 1}`;
+    try {
+      const data = migrateState(entry.data);
+      validateState(data).forEach(p => problems.push(`${name}: ${p}`));
+      budgets.push({ name, data });
+    } catch (err) {
+      problems.push(`${name}: ${err.message}`);
+    }
+  });
+
+  if (budgets.length === 0 && problems.length === 0) {
+    notifyError('This bundle has no budgets in it.');
+    return;
+  }
+  if (problems.length) {
+    console.error('Bundle failed validation:', problems);
+    notifyError(
+      `This bundle has ${problems.length} problem(s) and was not imported. ` +
+      'Your current data is unchanged.\n\n' +
+      formatProblemList(problems)
+    );
+    return;
+  }
+
+  const ok = await confirmDialog(
+    `Add ${budgets.length} budget(s) from this bundle as new profiles?\n\n` +
+    budgets.map(b => '• ' + b.name).join('\n'),
+    { title: 'Import all profiles', confirmLabel: 'Add profiles' }
+  );
+  if (!ok) return;
+
+  for (const { name, data } of budgets) {
+    const profile = addProfile(name);
+    try {
+      await writeProfileData(profile.id, data);
+    } catch (err) {
+      profileRegistry.profiles = profileRegistry.profiles.filter(p => p.id !== profile.id);
+      saveProfiles();
+      console.error('Failed to import profile', err);
+      notifyError(`"${name}" could not be saved: ${err.message || err}`);
+      renderProfiles();
+      return;
+    }
+  }
+  renderProfiles();
+  notify(`Added ${budgets.length} profile(s). Pick one from the budget list to open it.`);
+}
+
+function renderProfiles() {
+  const select = document.getElementById('profile-select');
+  const deleteBtn = document.getElementById('profile-delete-btn');
+  const active = getActiveProfile();
+
+  if (active) document.title = `${active.name} · Dead Simple Budget`;
+  if (deleteBtn) deleteBtn.disabled = profileRegistry.profiles.length === 1;
+  if (!select) return;
+
+  select.innerHTML = '';
+  profileRegistry.profiles.forEach(profile => {
+    const opt = document.createElement('option');
+    opt.value = profile.id;
+    opt.textContent = profile.name;
+    select.appendChild(opt);
+  });
+  select.value = profileRegistry.activeId;
+}
+
+// ===== Undo history =====
+
+// Session storage key for a profile's undo history.
+function getHistoryKey(profileId = profileRegistry.activeId) {
+  return `${getProfileStorageName(profileId)}_history`;
+}
+const HISTORY_LIMIT = 50;
+
+// Snapshots of the whole state, as saved JSON. `current` is what is in storage
+// now; each undo entry holds the state from before its action.
+let undoHistory = { current: null, undo: [], redo: [] };
+
+// Saves made in the same task (one click, one import) become a single entry,
+// labelled by the last save: composite operations save last.
+let pendingHistoryEntry = null;
+
+function loadHistory() {
+  const json = JSON.stringify(state);
+  undoHistory = { current: json, undo: [], redo: [] };
+  // Encrypted budgets keep their history in memory only.
+  if (encryptionKey) return;
+
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(getHistoryKey()));
+    if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+      // Anything saved since (another tab, a reload) simply becomes the
+      // current state; older snapshots are still valid restore points.
+      undoHistory.undo = saved.undo;
+      undoHistory.redo = saved.redo;
+    }
+  } catch (err) {
+    console.error('Failed to read undo history', err);
+  }
+}
+
+function saveHistory() {
+  if (encryptionKey) return;
+  // Oldest entries go first when the session is out of space.
+  while (true) {
+    try {
+      sessionStorage.setItem(getHistoryKey(), JSON.stringify({ undo: undoHistory.undo, redo: undoHistory.redo }));
+      return;
+    } catch (err) {
+      if (undoHistory.undo.length === 0 && undoHistory.redo.length === 0) {
+        console.error('Failed to save undo history', err);
+        return;
+      }
+      if (undoHistory.undo.length) undoHistory.undo.shift();
+      else undoHistory.redo.pop();
+    }
+  }
+}
+
+function recordHistory(json, label) {
+  if (undoHistory.current === null || json === undoHistory.current) return;
+
+  if (pendingHistoryEntry) {
+    pendingHistoryEntry.label = label;
+  } else {
+    pendingHistoryEntry = { label, timestamp: new Date().toISOString(), json: undoHistory.current };
+    undoHistory.undo.push(pendingHistoryEntry);
+    if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+    queueMicrotask(() => { pendingHistoryEntry = null; });
+  }
+
+  undoHistory.current = json;
+  undoHistory.redo = [];
+  saveHistory();
+  renderHistory();
+}
+
+// Swap in a snapshot from one stack, pushing the current state onto the other.
+function restoreHistory(from, to) {
+  const entry = from.pop();
+  if (!entry) return null;
+
+  to.push({ label: entry.label, timestamp: entry.timestamp, json: undoHistory.current });
+  undoHistory.current = entry.json;
+  state = deserializeState(migrateState(JSON.parse(entry.json)));
+  undoHistory.current = JSON.stringify(state);
+  pendingHistoryEntry = null;
+  editingTransactionId = null;
+
+  saveState();
+  saveHistory();
+  renderAll();
+  return entry;
+}
+
+function undo() {
+  return restoreHistory(undoHistory.undo, undoHistory.redo);
+}
+
+function redo() {
+  return restoreHistory(undoHistory.redo, undoHistory.undo);
+}
+
+// Undo everything after the given entry in the undo stack, including it.
+function undoTo(index) {
+  while (undoHistory.undo.length > index) {
+    undo();
+  }
+}
+
+function renderHistory() {
+  const list = document.getElementById('history-list');
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+
+  if (undoBtn) {
+    const last = undoHistory.undo[undoHistory.undo.length - 1];
+    undoBtn.disabled = !last;
+    undoBtn.title = last ? `Undo ${last.label} (Ctrl+Z)` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    const next = undoHistory.redo[undoHistory.redo.length - 1];
+    redoBtn.disabled = !next;
+    redoBtn.title = next ? `Redo ${next.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  if (undoHistory.undo.length === 0 && undoHistory.redo.length === 0) {
+    list.textContent = 'No changes this session.';
+    return;
+  }
+
+  // Redo entries (greyed out) above the undo entries, newest first.
+  undoHistory.redo.forEach((entry, i) => {
+    const div = document.createElement('div');
+    div.className = 'history-entry history-undone';
+    div.textContent = `${new Date(entry.timestamp).toLocaleTimeString()} · ${entry.label} (undone)`;
+
+    const btn = document.createElement('button');
+    btn.textContent = 'Redo to here';
+    btn.addEventListener('click', () => {
+      while (undoHistory.redo.length > i) redo();
+    });
+    div.appendChild(btn);
+    list.appendChild(div);
+  });
+
+  for (let i = undoHistory.undo.length - 1; i >= 0; i--) {
+    const entry = undoHistory.undo[i];
+    const div = document.createElement('div');
+    div.className = 'history-entry';
+    div.textContent = `${new Date(entry.timestamp).toLocaleTimeString()} · ${entry.label}`;
+
+    const btn = document.createElement('button');
+    btn.textContent = 'Undo to here';
+    btn.addEventListener('click', () => undoTo(i));
+    div.appendChild(btn);
+    list.appendChild(div);
+  }
+}
+
+// ===== Schema migrations & validation =====
+
+// MIGRATIONS[n] takes raw data at schema version n and returns it at n + 1.
+const MIGRATIONS = {
+  // v1 had no schemaVersion and tolerated missing fields; fill the defaults
+  // the old loader used to assume.
+  1: raw => ({
+    ...raw,
+    bankBalanceCents: raw.bankBalanceCents ?? 0,
+    settings: raw.settings ?? { transactionRetentionDays: 30 },
+    envelopes: (raw.envelopes || []).map(e => ({
+      ...e,
+      isIncome: !!e.isIncome,
+      isOverflow: !!e.isOverflow,
+      isCreditCard: !!e.isCreditCard,
+      isActive: e.isActive !== false,
+    })),
+    transactions: (raw.transactions || []).map(t => ({
+      ...t,
+      fromEnvelopeId: t.fromEnvelopeId || null,
+      toEnvelopeId: t.toEnvelopeId || null,
+      note: t.note ?? '',
+    })),
+  }),
+
+  // v3 adds opening balances, the baseline the ledger is replayed from.
+  // Pruned history is already gone, so derive the baseline that makes
+  // today's balances agree with the transactions that remain.
+  2: raw => {
+    const balances = {};
+    (raw.envelopes || []).forEach(e => { balances[e.id] = e.balanceCents; });
+    (raw.transactions || []).forEach(tx => {
+      getTransactionDeltas(tx).forEach(([id, delta]) => {
+        if (id in balances) balances[id] -= delta;
+      });
+    });
+    return { ...raw, openingBalances: { asOf: null, balances } };
+  },
+
+  // v4 logs auto-allocations as batches.
+  3: raw => ({
+    ...raw,
+    allocationBatches: [],
+    transactions: (raw.transactions || []).map(t => ({ ...t, batchId: t.batchId ?? null })),
+  }),
+
+  // v5 adds per-envelope allocation strategies and plan options.
+  4: raw => ({
+    ...raw,
+    settings: {
+      ...raw.settings,
+      allocation: { stopWhenIncomeRunsOut: false, remainderToOverflow: false },
+    },
+    envelopes: (raw.envelopes || []).map(e => ({
+      ...e,
+      allocation: { strategy: 'fixed', percent: 0, priority: 0 },
+    })),
+  }),
+
+  // v6 adds budget periods and per-envelope rollover policies.
+  5: raw => ({
+    ...raw,
+    settings: { ...raw.settings, period: defaultPeriodSettings() },
+    envelopes: (raw.envelopes || []).map(e => ({
+      ...e,
+      rollover: { policy: 'carry', capCents: 0 },
+    })),
+  }),
+
+  // v7 adds recurring templates and the upcoming queue.
+  6: raw => ({
+    ...raw,
+    recurring: [],
+    upcoming: [],
+    transactions: (raw.transactions || []).map(t => ({ ...t, recurringId: t.recurringId ?? null })),
+  }),
+
+  // v8 adds payees, tags and payee rules.
+  7: raw => ({
+    ...raw,
+    payeeRules: [],
+    transactions: (raw.transactions || []).map(t => ({
+      ...t,
+      payee: t.payee ?? '',
+      tags: t.tags ?? [],
+      ruleId: t.ruleId ?? null,
+    })),
+  }),
+
+  // v9 tracks what each credit card owes separately from the money set aside
+  // for it. Until now a card envelope's balance stood in for both.
+  8: raw => ({
+    ...raw,
+    envelopes: (raw.envelopes || []).map(e => ({
+      ...e,
+      cardOwedCents: e.cardOwedCents ?? (e.isCreditCard ? Math.max(0, e.balanceCents) : 0),
+    })),
+    transactions: (raw.transactions || []).map(t => ({ ...t, kind: t.kind ?? null })),
+  }),
+
+  // v10 adds cleared/reconciled flags and the bank balance history.
+  9: raw => ({
+    ...raw,
+    reconciliations: [],
+    transactions: (raw.transactions || []).map(t => ({
+      ...t,
+      cleared: t.cleared ?? false,
+      reconciledId: t.reconciledId ?? null,
+    })),
+  }),
+
+  // v11 replaces the single bank balance with named accounts. The old balance
+  // becomes "Checking", along with everything already matched against it.
+  10: raw => {
+    const { bankBalanceCents, ...rest } = raw;
+    const checking = { ...defaultAccount(), balanceCents: bankBalanceCents ?? 0 };
+    return {
+      ...rest,
+      accounts: [checking],
+      reconciliations: (raw.reconciliations || []).map(r => ({ ...r, accountId: checking.id })),
+      transactions: (raw.transactions || []).map(t => ({
+        ...t,
+        accountId: t.accountId ?? (t.kind === 'cardPayment' || t.cleared ? checking.id : null),
+        toAccountId: t.toAccountId ?? null,
+        toCleared: t.toCleared ?? false,
+        toReconciledId: t.toReconciledId ?? null,
+      })),
+    };
+  },
+
+  // v12 adds split transactions.
+  11: raw => ({
+    ...raw,
+    transactions: (raw.transactions || []).map(t => ({ ...t, splits: t.splits ?? null })),
+  }),
+};
+
+function migrateState(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Data is not a JSON object.');
+  }
+
+  let version = raw.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown schema version: ${JSON.stringify(raw.schemaVersion)}.`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Data uses schema version ${version}, but this app only understands up to ${SCHEMA_VERSION}.`
+    );
+  }
+
+  let data = raw;
+  while (version < SCHEMA_VERSION) {
+    data = MIGRATIONS[version](data);
+    version += 1;
+    data.schemaVersion = version;
+  }
+  return data;
+}
+
+// Returns a list of human-readable problems; empty means the data is safe to load.
+function validateState(data) {
+  const problems = [];
+  const isInt = v => Number.isInteger(v);
+  const isBool = v => typeof v === 'boolean';
+  const show = v => JSON.stringify(v);
+
+  if (!data || typeof data !== 'object') {
+    return ['Data is not a JSON object.'];
+  }
+  if (data.schemaVersion !== SCHEMA_VERSION) {
+    problems.push(`schemaVersion should be ${SCHEMA_VERSION} (got ${show(data.schemaVersion)}).`);
+  }
+  const accountIds = new Set();
+  if (!Array.isArray(data.accounts) || data.accounts.length === 0) {
+    problems.push('accounts must be a non-empty array.');
+  } else {
+    data.accounts.forEach((a, i) => {
+      const label = `Account #${i + 1}` + (a && typeof a.name === 'string' ? ` ("${a.name}")` : '');
+      if (!a || typeof a.id !== 'string' || !a.id) {
+        problems.push(`${label}: id must be a non-empty string.`);
+        return;
+      }
+      if (accountIds.has(a.id)) problems.push(`${label}: duplicate id "${a.id}".`);
+      accountIds.add(a.id);
+      if (typeof a.name !== 'string' || !a.name) problems.push(`${label}: name must be a non-empty string.`);
+      if (!Object.prototype.hasOwnProperty.call(ACCOUNT_TYPES, a.type)) problems.push(`${label}: unknown type ${show(a.type)}.`);
+      if (!isInt(a.balanceCents)) {
+        problems.push(`${label}: balanceCents must be a whole number of cents (got ${show(a.balanceCents)}).`);
+      }
+    });
+  }
+  if (!data.settings || typeof data.settings !== 'object') {
+    problems.push('settings must be an object.');
+  } else if (
+    data.settings.transactionRetentionDays != null &&
+    !(isInt(data.settings.transactionRetentionDays) && data.settings.transactionRetentionDays > 0)
+  ) {
+    problems.push('settings.transactionRetentionDays must be a positive whole number.');
+  }
+  if (data.settings && (!data.settings.allocation || typeof data.settings.allocation !== 'object' ||
+      !isBool(data.settings.allocation.stopWhenIncomeRunsOut) ||
+      !isBool(data.settings.allocation.remainderToOverflow))) {
+    problems.push('settings.allocation must hold stopWhenIncomeRunsOut and remainderToOverflow as true/false.');
+  }
+  const period = data.settings && data.settings.period;
+  if (data.settings && (!period || typeof period !== 'object')) {
+    problems.push('settings.period must be an object.');
+  } else if (period) {
+    if (!Object.prototype.hasOwnProperty.call(PERIOD_FREQUENCIES, period.frequency)) {
+      problems.push(`settings.period.frequency is not a known frequency (got ${show(period.frequency)}).`);
+    }
+    ['startDate', 'closedThrough'].forEach(field => {
+      if (!isValidLocalDate(period[field])) {
+        problems.push(`settings.period.${field} must be a "YYYY-MM-DD" date (got ${show(period[field])}).`);
+      }
+    });
+  }
+
+  if (!Array.isArray(data.envelopes)) problems.push('envelopes must be an array.');
+  if (!Array.isArray(data.transactions)) problems.push('transactions must be an array.');
+  if (problems.some(p => p.endsWith('must be an array.'))) return problems;
+
+  const envelopeIds = new Set();
+  data.envelopes.forEach((e, i) => {
+    const label = `Envelope #${i + 1}` + (e && typeof e.name === 'string' ? ` ("${e.name}")` : '');
+    if (!e || typeof e !== 'object') {
+      problems.push(`${label} is not an object.`);
+      return;
+    }
+    if (typeof e.id !== 'string' || !e.id) {
+      problems.push(`${label}: id must be a non-empty string.`);
+    } else if (envelopeIds.has(e.id)) {
+      problems.push(`${label}: duplicate id "${e.id}".`);
+    } else {
+      envelopeIds.add(e.id);
+    }
+    if (typeof e.name !== 'string' || !e.name) problems.push(`${label}: name must be a non-empty string.`);
+    if (!isInt(e.targetCents) || e.targetCents < 0) {
+      problems.push(`${label}: targetCents must be a whole, non-negative number of cents (got ${show(e.targetCents)}).`);
+    }
+    if (!isInt(e.balanceCents)) {
+      problems.push(`${label}: balanceCents must be a whole number of cents (got ${show(e.balanceCents)}).`);
+    }
+    ['isIncome', 'isOverflow', 'isCreditCard', 'isActive'].forEach(flag => {
+      if (!isBool(e[flag])) problems.push(`${label}: ${flag} must be true or false (got ${show(e[flag])}).`);
+    });
+    if (!isInt(e.cardOwedCents)) {
+      problems.push(`${label}: cardOwedCents must be a whole number of cents (got ${show(e.cardOwedCents)}).`);
+    } else if (e.cardOwedCents !== 0 && !e.isCreditCard) {
+      problems.push(`${label}: only credit cards can have an amount owed.`);
+    }
+    if (e.isIncome && e.isOverflow) problems.push(`${label}: cannot be both Income and Overflow.`);
+    const allocation = e.allocation;
+    if (!allocation || typeof allocation !== 'object') {
+      problems.push(`${label}: allocation must be an object.`);
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(ALLOCATION_STRATEGIES, allocation.strategy)) {
+        problems.push(`${label}: unknown allocation strategy ${show(allocation.strategy)}.`);
+      }
+      if (typeof allocation.percent !== 'number' || !(allocation.percent >= 0 && allocation.percent <= 100)) {
+        problems.push(`${label}: allocation.percent must be between 0 and 100 (got ${show(allocation.percent)}).`);
+      }
+      if (!isInt(allocation.priority)) {
+        problems.push(`${label}: allocation.priority must be a whole number (got ${show(allocation.priority)}).`);
+      }
+    }
+    const rollover = e.rollover;
+    if (!rollover || typeof rollover !== 'object') {
+      problems.push(`${label}: rollover must be an object.`);
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(ROLLOVER_POLICIES, rollover.policy)) {
+        problems.push(`${label}: unknown rollover policy ${show(rollover.policy)}.`);
+      }
+      if (!isInt(rollover.capCents) || rollover.capCents < 0) {
+        problems.push(`${label}: rollover.capCents must be a whole, non-negative number of cents (got ${show(rollover.capCents)}).`);
+      }
+    }
+  });
+
+  const incomeCount = data.envelopes.filter(e => e && e.isIncome).length;
+  const overflowCount = data.envelopes.filter(e => e && e.isOverflow).length;
+  if (incomeCount > 1) problems.push(`${incomeCount} envelopes are flagged as Income; only one is allowed.`);
+  if (overflowCount > 1) problems.push(`${overflowCount} envelopes are flagged as Overflow; only one is allowed.`);
+
+  const reconciliationIds = new Set();
+  if (!Array.isArray(data.reconciliations)) {
+    problems.push('reconciliations must be an array.');
+  } else {
+    data.reconciliations.forEach((r, i) => {
+      const label = `Reconciliation #${i + 1}`;
+      if (!r || typeof r.id !== 'string' || !r.id) {
+        problems.push(`${label}: id must be a non-empty string.`);
+        return;
+      }
+      reconciliationIds.add(r.id);
+      if (!accountIds.has(r.accountId)) problems.push(`${label}: refers to missing account ${show(r.accountId)}.`);
+      if (typeof r.timestamp !== 'string' || Number.isNaN(Date.parse(r.timestamp))) {
+        problems.push(`${label}: timestamp must be an ISO date string (got ${show(r.timestamp)}).`);
+      }
+      if (r.kind !== 'manual' && r.kind !== 'reconcile') problems.push(`${label}: unknown kind ${show(r.kind)}.`);
+      ['previousCents', 'balanceCents'].forEach(field => {
+        if (!isInt(r[field])) problems.push(`${label}: ${field} must be a whole number of cents (got ${show(r[field])}).`);
+      });
+      if (!Array.isArray(r.transactionIds) || r.transactionIds.some(id => typeof id !== 'string')) {
+        problems.push(`${label}: transactionIds must be a list of ids.`);
+      }
+      if (r.adjustmentTransactionId !== null && typeof r.adjustmentTransactionId !== 'string') {
+        problems.push(`${label}: adjustmentTransactionId must be a transaction id or null.`);
+      }
+    });
+  }
+
+  const txIds = new Set();
+  data.transactions.forEach((t, i) => {
+    const label = `Transaction #${i + 1}` + (t && t.id ? ` (${t.id})` : '');
+    if (!t || typeof t !== 'object') {
+      problems.push(`${label} is not an object.`);
+      return;
+    }
+    if (typeof t.id !== 'string' || !t.id) {
+      problems.push(`${label}: id must be a non-empty string.`);
+    } else if (txIds.has(t.id)) {
+      problems.push(`${label}: duplicate id.`);
+    } else {
+      txIds.add(t.id);
+    }
+    if (typeof t.timestamp !== 'string' || Number.isNaN(Date.parse(t.timestamp))) {
+      problems.push(`${label}: timestamp must be an ISO date string (got ${show(t.timestamp)}).`);
+    }
+    if (!isInt(t.amountCents) || t.amountCents === 0) {
+      problems.push(`${label}: amountCents must be a non-zero whole number of cents (got ${show(t.amountCents)}).`);
+    }
+    if (typeof t.note !== 'string') problems.push(`${label}: note must be a string.`);
+    ['fromEnvelopeId', 'toEnvelopeId'].forEach(field => {
+      const ref = t[field];
+      if (ref === null) return;
+      if (typeof ref !== 'string') {
+        problems.push(`${label}: ${field} must be an envelope id or null (got ${show(ref)}).`);
+      } else if (!envelopeIds.has(ref)) {
+        problems.push(`${label}: ${field} refers to missing envelope "${ref}".`);
+      }
+    });
+    ['accountId', 'toAccountId'].forEach(field => {
+      if (t[field] !== null && !accountIds.has(t[field])) {
+        problems.push(`${label}: ${field} refers to missing account ${show(t[field])}.`);
+      }
+    });
+    if (t.toAccountId !== null) {
+      if (t.accountId === null || t.accountId === t.toAccountId) {
+        problems.push(`${label}: a transfer needs two different accounts.`);
+      }
+      if (t.fromEnvelopeId !== null || t.toEnvelopeId !== null) {
+        problems.push(`${label}: a transfer between accounts cannot move envelope money.`);
+      }
+    } else if (t.fromEnvelopeId === null && t.toEnvelopeId === null && t.splits === null) {
+      problems.push(`${label}: needs a from or a to envelope.`);
+    }
+    if (t.splits !== null) {
+      if (!Array.isArray(t.splits) || t.splits.length < 2) {
+        problems.push(`${label}: splits must be null or a list of at least two lines.`);
+      } else {
+        t.splits.forEach((line, j) => {
+          if (!line || !envelopeIds.has(line.envelopeId)) {
+            problems.push(`${label}: split line ${j + 1} refers to missing envelope ${show(line && line.envelopeId)}.`);
+          }
+          if (!line || !isInt(line.amountCents) || line.amountCents <= 0) {
+            problems.push(`${label}: split line ${j + 1} needs a positive whole number of cents.`);
+          }
+        });
+        const linesCents = t.splits.reduce((sum, line) => sum + (line && isInt(line.amountCents) ? line.amountCents : 0), 0);
+        if (linesCents !== t.amountCents) {
+          problems.push(`${label}: split lines add up to ${linesCents} cents, not ${show(t.amountCents)}.`);
+        }
+        if (t.fromEnvelopeId !== null) problems.push(`${label}: a split transaction takes its money from the split lines, not fromEnvelopeId.`);
+      }
+    }
+    if (t.batchId !== null && (typeof t.batchId !== 'string' || !t.batchId)) {
+      problems.push(`${label}: batchId must be a non-empty string or null.`);
+    }
+    if (t.recurringId !== null && (typeof t.recurringId !== 'string' || !t.recurringId)) {
+      problems.push(`${label}: recurringId must be a non-empty string or null.`);
+    }
+    if (typeof t.payee !== 'string') problems.push(`${label}: payee must be a string.`);
+    if (!Array.isArray(t.tags) || t.tags.some(tag => typeof tag !== 'string')) {
+      problems.push(`${label}: tags must be a list of strings.`);
+    }
+    if (t.ruleId !== null && (typeof t.ruleId !== 'string' || !t.ruleId)) {
+      problems.push(`${label}: ruleId must be a non-empty string or null.`);
+    }
+    if (t.kind !== null && !Object.prototype.hasOwnProperty.call(CARD_TRANSACTION_KINDS, t.kind)) {
+      problems.push(`${label}: unknown kind ${show(t.kind)}.`);
+    } else {
+      const cardProblem = getCardKindProblem(t, data.envelopes.filter(e => e && typeof e === 'object'));
+      if (cardProblem) problems.push(`${label}: ${cardProblem}.`);
+    }
+    if (!isBool(t.cleared)) problems.push(`${label}: cleared must be true or false (got ${show(t.cleared)}).`);
+    if (t.reconciledId !== null) {
+      if (!reconciliationIds.has(t.reconciledId)) {
+        problems.push(`${label}: reconciledId refers to missing reconciliation ${show(t.reconciledId)}.`);
+      } else if (!t.cleared) {
+        problems.push(`${label}: reconciled but not cleared.`);
+      }
+    }
+    if (!isBool(t.toCleared)) problems.push(`${label}: toCleared must be true or false (got ${show(t.toCleared)}).`);
+    if (t.toReconciledId !== null) {
+      if (!reconciliationIds.has(t.toReconciledId)) {
+        problems.push(`${label}: toReconciledId refers to missing reconciliation ${show(t.toReconciledId)}.`);
+      } else if (!t.toCleared) {
+        problems.push(`${label}: reconciled but not cleared on the receiving account.`);
+      }
+    }
+  });
+
+  if (!Array.isArray(data.payeeRules)) {
+    problems.push('payeeRules must be an array.');
+  } else {
+    data.payeeRules.forEach((r, i) => {
+      const label = `Payee rule #${i + 1}`;
+      if (!r || typeof r.id !== 'string' || !r.id) {
+        problems.push(`${label}: id must be a non-empty string.`);
+        return;
+      }
+      if (!Object.prototype.hasOwnProperty.call(RULE_FIELDS, r.field)) problems.push(`${label}: unknown field ${show(r.field)}.`);
+      if (!Object.prototype.hasOwnProperty.call(RULE_MATCHES, r.match)) problems.push(`${label}: unknown match ${show(r.match)}.`);
+      if (typeof r.pattern !== 'string') {
+        problems.push(`${label}: pattern must be a string.`);
+      } else if (r.match === 'regex') {
+        try {
+          new RegExp(r.pattern);
+        } catch (err) {
+          problems.push(`${label}: invalid regex ${show(r.pattern)}.`);
+        }
+      }
+      ['minCents', 'maxCents'].forEach(field => {
+        if (r[field] !== null && !isInt(r[field])) problems.push(`${label}: ${field} must be whole cents or null.`);
+      });
+      ['fromEnvelopeId', 'toEnvelopeId'].forEach(field => {
+        if (r[field] !== null && !envelopeIds.has(r[field])) {
+          problems.push(`${label}: ${field} refers to missing envelope ${show(r[field])}.`);
+        }
+      });
+      if (!Array.isArray(r.tags) || r.tags.some(tag => typeof tag !== 'string')) {
+        problems.push(`${label}: tags must be a list of strings.`);
+      }
+    });
+  }
+
+  const recurringIds = new Set();
+  if (!Array.isArray(data.recurring)) {
+    problems.push('recurring must be an array.');
+  } else {
+    data.recurring.forEach((r, i) => {
+      const label = `Recurring #${i + 1}` + (r && r.note ? ` ("${r.note}")` : '');
+      if (!r || typeof r.id !== 'string' || !r.id) {
+        problems.push(`${label}: id must be a non-empty string.`);
+        return;
+      }
+      if (recurringIds.has(r.id)) problems.push(`${label}: duplicate id.`);
+      recurringIds.add(r.id);
+      if (!isInt(r.amountCents) || r.amountCents <= 0) {
+        problems.push(`${label}: amountCents must be a positive whole number of cents (got ${show(r.amountCents)}).`);
+      }
+      ['fromEnvelopeId', 'toEnvelopeId'].forEach(field => {
+        if (r[field] !== null && !envelopeIds.has(r[field])) {
+          problems.push(`${label}: ${field} refers to missing envelope ${show(r[field])}.`);
+        }
+      });
+      if (r.fromEnvelopeId === null && r.toEnvelopeId === null) {
+        problems.push(`${label}: needs a from or a to envelope.`);
+      }
+      if (typeof r.note !== 'string') problems.push(`${label}: note must be a string.`);
+      const schedule = r.schedule;
+      if (!schedule || !Object.prototype.hasOwnProperty.call(RECURRING_SCHEDULES, schedule.type)) {
+        problems.push(`${label}: schedule.type is not a known schedule.`);
+      } else if (schedule.type === 'everyNDays' && !(isInt(schedule.intervalDays) && schedule.intervalDays > 0)) {
+        problems.push(`${label}: schedule.intervalDays must be a positive whole number.`);
+      } else if (schedule.type === 'monthlyDay' && !(isInt(schedule.dayOfMonth) && schedule.dayOfMonth >= 1 && schedule.dayOfMonth <= 31)) {
+        problems.push(`${label}: schedule.dayOfMonth must be between 1 and 31.`);
+      }
+      if (!isValidLocalDate(r.nextDueDate)) problems.push(`${label}: nextDueDate must be a "YYYY-MM-DD" date.`);
+      if (!isBool(r.autoPost)) problems.push(`${label}: autoPost must be true or false.`);
+      if (!isBool(r.isActive)) problems.push(`${label}: isActive must be true or false.`);
+    });
+  }
+
+  if (!Array.isArray(data.upcoming)) {
+    problems.push('upcoming must be an array.');
+  } else {
+    data.upcoming.forEach((u, i) => {
+      const label = `Upcoming item #${i + 1}`;
+      if (!u || typeof u.id !== 'string' || !u.id) problems.push(`${label}: id must be a non-empty string.`);
+      else if (!recurringIds.has(u.recurringId)) problems.push(`${label}: refers to missing recurring template ${show(u.recurringId)}.`);
+      if (!u || !isValidLocalDate(u.dueDate)) problems.push(`${label}: dueDate must be a "YYYY-MM-DD" date.`);
+    });
+  }
+
+  if (!Array.isArray(data.allocationBatches)) {
+    problems.push('allocationBatches must be an array.');
+  } else {
+    data.allocationBatches.forEach((b, i) => {
+      const label = `Allocation batch #${i + 1}`;
+      if (!b || typeof b.id !== 'string' || !b.id) {
+        problems.push(`${label}: id must be a non-empty string.`);
+        return;
+      }
+      if (typeof b.timestamp !== 'string' || Number.isNaN(Date.parse(b.timestamp))) {
+        problems.push(`${label}: timestamp must be an ISO date string.`);
+      }
+      if (!Array.isArray(b.legs) || b.legs.some(leg => !leg || !isInt(leg.amountCents) || typeof leg.envelopeId !== 'string')) {
+        problems.push(`${label}: legs must list an envelopeId and whole-cent amountCents each.`);
+      }
+    });
+  }
+
+  const opening = data.openingBalances;
+  if (!opening || typeof opening !== 'object' || !opening.balances || typeof opening.balances !== 'object') {
+    problems.push('openingBalances must be an object with a balances map.');
+  } else {
+    if (opening.asOf !== null && (typeof opening.asOf !== 'string' || Number.isNaN(Date.parse(opening.asOf)))) {
+      problems.push(`openingBalances.asOf must be null or an ISO date string (got ${show(opening.asOf)}).`);
+    }
+    Object.entries(opening.balances).forEach(([id, cents]) => {
+      if (!envelopeIds.has(id)) problems.push(`openingBalances refers to missing envelope "${id}".`);
+      if (!isInt(cents)) problems.push(`openingBalances for "${id}" must be a whole number of cents (got ${show(cents)}).`);
+    });
+  }
+
+  if (data.archive != null) {
+    problems.push(...validateArchive(data.archive));
+  }
+
+  return problems;
+}
+
+function validateArchive(archive) {
+  if (!archive || !Array.isArray(archive.months)) {
+    return ['archive.months must be an array.'];
+  }
+  const problems = [];
+  archive.months.forEach((m, i) => {
+    const label = `Archived month #${i + 1}`;
+    if (!m || typeof m.month !== 'string' || !/^\d{4}-\d{2}$/.test(m.month)) {
+      problems.push(`${label}: month must look like "YYYY-MM".`);
+      return;
+    }
+    if (!Array.isArray(m.transactions)) {
+      problems.push(`${label} (${m.month}): transactions must be an array.`);
+    } else if (m.transactions.some(t => !t || typeof t.id !== 'string' || !Number.isInteger(t.amountCents))) {
+      problems.push(`${label} (${m.month}): every transaction needs an id and whole-cent amountCents.`);
+    }
+  });
+  return problems;
+}
+
+// Keep notifyError() dialogs readable; the full list always goes to the console.
+function formatProblemList(problems, max = 30) {
+  const lines = problems.slice(0, max).map(p => '• ' + p);
+  if (problems.length > max) {
+    lines.push(`…and ${problems.length - max} more (see the browser console).`);
+  }
+  return lines.join('\n');
+}
+
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const str = String(value ?? '');
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }).join(',')).join('\n') + '\n';
+}
+
+// The open budget as plain data. Archived months travel with it so nothing
+// is lost on restore.
+function getBackupData() {
+  const backup = JSON.parse(JSON.stringify(state));
+  const archive = loadArchive();
+  if (archive && archive.months.length) {
+    backup.archive = archive;
+  }
+  return backup;
+}
+
+function exportStateToFile() {
+  const profileName = getActiveProfile().name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase();
+  const filename = `budget-backup-${profileName ? profileName + '-' : ''}${fileTimestamp()}.json`;
+  downloadFile(filename, JSON.stringify(getBackupData()), 'application/json');
+}
+
+function importStateFromFile(file) {
+  if (!file) {
+    notifyError('Choose a file first.');
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = async (event) => {
+    try {
+      let parsed = JSON.parse(event.target.result);
+      if (parsed && parsed.kind === ENCRYPTED_BACKUP_KIND) {
+        const text = await askToDecryptBackup(parsed);
+        if (text === null) return;
+        parsed = JSON.parse(text);
+      }
+      if (parsed && parsed.kind === PROFILE_BUNDLE_KIND) {
+        await importProfileBundle(parsed);
+        return;
+      }
+      const data = migrateState(parsed);
+
+      const problems = validateState(data);
+      if (problems.length) {
+        console.error('Backup failed validation:', problems);
+        notifyError(
+          `This backup has ${problems.length} problem(s) and was not imported. ` +
+          'Your current data is unchanged.\n\n' +
+          formatProblemList(problems)
+        );
+        return;
+      }
+
+      showImportPreview(data);
+    } catch (err) {
+      console.error('Failed to import backup:', err);
+      notifyError('Failed to import backup: ' + err.message);
+    }
+  };
+  reader.onerror = (err) => {
+    console.error('File read error:', err);
+    notifyError('Error reading file.');
+  };
+
+  reader.readAsText(file);
+}
+
+// Overwrite everything with a validated backup, then reload.
+async function replaceStateWithImport(data) {
+  const ok = await confirmDialog(
+    'Importing this backup will overwrite your current budget data.',
+    { title: 'Replace budget data?', confirmLabel: 'Replace' }
+  );
+  if (!ok) return;
+
+  // Write the migrated state through the storage driver, once any pending
+  // saves are done; the archive goes to its own key
+  const { archive, ...stateData } = data;
+  try {
+    await storageQueue;
+    const split = splitState(JSON.parse(JSON.stringify(stateData)));
+    split.meta.revision = storageRevision + 1;
+    await storage.replace(split);
+    announceRevision(split.meta.revision);
+  } catch (err) {
+    console.error('Failed to write imported backup', err);
+    notifyError(`The backup could not be saved: ${err.message || err}\n\nYour current data is unchanged.`);
+    return;
+  }
+  saveArchive(archive || null);
+  recordHistory(JSON.stringify(stateData), 'Replace with backup');
+
+  // Reload app to re-run loadState/ensureCoreEnvelopes/etc.
+  await storageQueue;
+  location.reload();
+}
+
+// ===== Import merge =====
+
+// Backup awaiting a merge/replace decision, plus the user's selections.
+let pendingImport = null;
+
+// What a card owes follows its charges and payments, like the balance, so
+// it is never copied across.
+const ENVELOPE_DIFF_FIELDS = ['name', 'targetCents', 'isCreditCard', 'isActive'];
+const TRANSACTION_DIFF_FIELDS = [
+  'timestamp', 'fromEnvelopeId', 'toEnvelopeId', 'amountCents', 'payee', 'note', 'batchId', 'kind',
+  'accountId', 'toAccountId', 'splits',
+];
+
+function diffById(currentItems, incomingItems, fields) {
+  const currentById = new Map(currentItems.map(item => [item.id, item]));
+  const incomingById = new Map(incomingItems.map(item => [item.id, item]));
+
+  const added = incomingItems.filter(item => !currentById.has(item.id));
+  const removed = currentItems.filter(item => !incomingById.has(item.id));
+  const changed = [];
+  incomingItems.forEach(incoming => {
+    const current = currentById.get(incoming.id);
+    if (!current) return;
+    const changedFields = fields.filter(f =>
+      current[f] !== incoming[f] && JSON.stringify(current[f]) !== JSON.stringify(incoming[f])
+    );
+    if (changedFields.length) changed.push({ current, incoming, fields: changedFields });
+  });
+
+  return { added, removed, changed };
+}
+
+// Compare a backup against the live state by envelope id and transaction id.
+// Transactions already moved to the local archive are not offered again, and
+// reconciled ones can't be changed or removed by an import.
+function diffStates(current, incoming) {
+  const archivedIds = getArchivedTransactionIds();
+  const lockedIds = new Set(current.transactions.filter(isTransactionLocked).map(t => t.id));
+  const incomingTransactions = incoming.transactions.filter(t => !archivedIds.has(t.id) && !lockedIds.has(t.id));
+  return {
+    envelopes: diffById(current.envelopes, incoming.envelopes, ENVELOPE_DIFF_FIELDS),
+    transactions: diffById(
+      current.transactions.filter(t => !lockedIds.has(t.id)),
+      incomingTransactions,
+      TRANSACTION_DIFF_FIELDS
+    ),
+    lockedCount: lockedIds.size,
+  };
+}
+
+function importSelectionKey(kind, op, id) {
+  return `${kind}:${op}:${id}`;
+}
+
+// New envelopes and new transactions are merged by default; anything that
+// would change or remove what is already here has to be opted into.
+function defaultImportSelection(diff) {
+  const selected = new Set();
+  diff.envelopes.added.forEach(e => selected.add(importSelectionKey('env', 'add', e.id)));
+  diff.transactions.added.forEach(t => selected.add(importSelectionKey('tx', 'add', t.id)));
+  return selected;
+}
+
+// Transaction operations the current selection would perform, in apply order.
+function selectedTransactionOps(diff, selected) {
+  const ops = [];
+  diff.transactions.removed.forEach(tx => {
+    if (selected.has(importSelectionKey('tx', 'remove', tx.id))) ops.push({ remove: tx });
+  });
+  diff.transactions.changed.forEach(({ current, incoming }) => {
+    if (selected.has(importSelectionKey('tx', 'change', current.id))) ops.push({ remove: current, add: incoming });
+  });
+  diff.transactions.added.forEach(tx => {
+    if (selected.has(importSelectionKey('tx', 'add', tx.id))) ops.push({ add: tx });
+  });
+  return ops;
+}
+
+// Envelopes that only exist in the backup, plus any a selected transaction needs.
+function selectedNewEnvelopes(diff, selected) {
+  const needed = new Set();
+  selectedTransactionOps(diff, selected).forEach(op => {
+    if (!op.add) return;
+    getTransactionEnvelopeIds(op.add).forEach(id => needed.add(id));
+  });
+  return diff.envelopes.added.filter(e =>
+    selected.has(importSelectionKey('env', 'add', e.id)) || needed.has(e.id)
+  );
+}
+
+// Balance a backup-only envelope had before any of the backup's transactions.
+function importBaselineCents(env, incoming) {
+  let cents = env.balanceCents;
+  incoming.transactions.forEach(tx => {
+    getTransactionDeltas(tx).forEach(([id, delta]) => {
+      if (id === env.id) cents -= delta;
+    });
+  });
+  return cents;
+}
+
+// Same for what a card owes: the charges and payments come across with the
+// transactions and add their share back.
+function importOwedBaselineCents(env, incoming) {
+  const card = { ...env };
+  incoming.transactions.forEach(tx => {
+    applyTransactionToBalances(tx, -1, { envelopes: [card], accounts: [] });
+  });
+  return card.cardOwedCents;
+}
+
+// Balances the merge would produce, before any conflict resolution.
+function projectMergedBalances(diff, selected, incoming) {
+  const balances = new Map(state.envelopes.map(e => [e.id, e.balanceCents]));
+  selectedNewEnvelopes(diff, selected).forEach(env => {
+    balances.set(env.id, importBaselineCents(env, incoming));
+  });
+  selectedTransactionOps(diff, selected).forEach(op => {
+    if (op.remove) getTransactionDeltas(op.remove).forEach(([id, d]) => balances.set(id, (balances.get(id) || 0) - d));
+    if (op.add) getTransactionDeltas(op.add).forEach(([id, d]) => balances.set(id, (balances.get(id) || 0) + d));
+  });
+  return balances;
+}
+
+// Envelopes in both data sets whose merged balance would not match the backup.
+function findBalanceConflicts(diff, selected, incoming) {
+  const projected = projectMergedBalances(diff, selected, incoming);
+  const currentIds = new Set(state.envelopes.map(e => e.id));
+  return incoming.envelopes
+    .filter(e => currentIds.has(e.id) && projected.get(e.id) !== e.balanceCents)
+    .map(e => ({ envelope: e, mergedCents: projected.get(e.id), backupCents: e.balanceCents }));
+}
+
+function showImportPreview(data) {
+  const diff = diffStates(state, data);
+  pendingImport = {
+    data,
+    diff,
+    selected: defaultImportSelection(diff),
+    useBackupBalance: new Set(),
+  };
+  renderImportPreview();
+
+  const panel = document.getElementById('import-preview');
+  if (panel) {
+    panel.hidden = false;
+    panel.scrollIntoView();
+  }
+}
+
+function closeImportPreview() {
+  pendingImport = null;
+  const panel = document.getElementById('import-preview');
+  if (panel) panel.hidden = true;
+}
+
+function envelopeNameIn(id, ...envelopeLists) {
+  if (!id) return null;
+  for (const list of envelopeLists) {
+    const env = list.find(e => e.id === id);
+    if (env) return env.name;
+  }
+  return '(unknown)';
+}
+
+function describeImportTransaction(tx) {
+  const envs = [state.envelopes, pendingImport.data.envelopes];
+  const fromName = tx.splits
+    ? tx.splits.map(line => envelopeNameIn(line.envelopeId, ...envs)).join(' + ')
+    : envelopeNameIn(tx.fromEnvelopeId, ...envs) || 'Add to';
+  const toName = envelopeNameIn(tx.toEnvelopeId, ...envs) || 'Spent';
+  const dateStr = new Date(tx.timestamp).toLocaleDateString();
+  return `${dateStr} | $${centsToDollars(tx.amountCents)} | ${fromName} → ${toName} | ${tx.note}`;
+}
+
+function describeImportField(field, value) {
+  if (field.endsWith('Cents')) return '$' + centsToDollars(value);
+  if (field.endsWith('EnvelopeId')) {
+    return envelopeNameIn(value, state.envelopes, pendingImport.data.envelopes) || '(none)';
+  }
+  if (field === 'timestamp') return new Date(value).toLocaleString();
+  return JSON.stringify(value);
+}
+
+function renderImportPreview() {
+  const container = document.getElementById('import-preview-body');
+  if (!container || !pendingImport) return;
+
+  const { diff, selected } = pendingImport;
+  container.innerHTML = '';
+
+  const addGroup = (title, items) => {
+    if (!items.length) return;
+    const heading = document.createElement('h4');
+    heading.textContent = `${title} (${items.length})`;
+    container.appendChild(heading);
+    items.forEach(({ key, text, detail }) => {
+      const row = document.createElement('label');
+      row.className = 'import-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = selected.has(key);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selected.add(key);
+        else selected.delete(key);
+        renderImportConflicts();
+      });
+
+      const span = document.createElement('span');
+      span.textContent = text;
+
+      row.appendChild(checkbox);
+      row.appendChild(span);
+      if (detail) {
+        const small = document.createElement('small');
+        small.textContent = ' ' + detail;
+        row.appendChild(small);
+      }
+      container.appendChild(row);
+    });
+  };
+
+  const changeDetail = ({ current, incoming, fields }) =>
+    fields.map(f =>
+      `${f}: ${describeImportField(f, current[f])} → ${describeImportField(f, incoming[f])}`
+    ).join('; ');
+
+  addGroup('New envelopes in backup', diff.envelopes.added.map(e => ({
+    key: importSelectionKey('env', 'add', e.id),
+    text: `Add "${e.name}"`,
+  })));
+  addGroup('Changed envelopes', diff.envelopes.changed.map(c => ({
+    key: importSelectionKey('env', 'change', c.current.id),
+    text: `Update "${c.current.name}"`,
+    detail: changeDetail(c),
+  })));
+  addGroup('Envelopes missing from backup', diff.envelopes.removed
+    .filter(e => !isCoreEnvelope(e) && e.isActive)
+    .map(e => ({
+      key: importSelectionKey('env', 'remove', e.id),
+      text: `Delete "${e.name}" (balance moves to Income)`,
+    })));
+  addGroup('New transactions in backup', diff.transactions.added.map(t => ({
+    key: importSelectionKey('tx', 'add', t.id),
+    text: describeImportTransaction(t),
+  })));
+  addGroup('Changed transactions', diff.transactions.changed.map(c => ({
+    key: importSelectionKey('tx', 'change', c.current.id),
+    text: describeImportTransaction(c.current),
+    detail: changeDetail(c),
+  })));
+  addGroup('Transactions missing from backup', diff.transactions.removed.map(t => ({
+    key: importSelectionKey('tx', 'remove', t.id),
+    text: 'Delete ' + describeImportTransaction(t),
+  })));
+
+  if (!container.children.length) {
+    const p = document.createElement('p');
+    p.textContent = 'The backup matches your current envelopes and transactions.';
+    container.appendChild(p);
+  }
+  if (diff.lockedCount) {
+    const p = document.createElement('p');
+    p.textContent = `${diff.lockedCount} reconciled transaction(s) are locked and stay as they are.`;
+    container.appendChild(p);
+  }
+
+  const conflicts = document.createElement('div');
+  conflicts.id = 'import-conflicts';
+  container.appendChild(conflicts);
+  renderImportConflicts();
+}
+
+function renderImportConflicts() {
+  const container = document.getElementById('import-conflicts');
+  if (!container || !pendingImport) return;
+
+  const { diff, selected, data, useBackupBalance } = pendingImport;
+  container.innerHTML = '';
+
+  const conflicts = findBalanceConflicts(diff, selected, data);
+  if (!conflicts.length) return;
+
+  const heading = document.createElement('h4');
+  heading.textContent = `Balance conflicts (${conflicts.length})`;
+  container.appendChild(heading);
+
+  conflicts.forEach(({ envelope, mergedCents, backupCents }) => {
+    const row = document.createElement('label');
+    row.className = 'import-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = useBackupBalance.has(envelope.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) useBackupBalance.add(envelope.id);
+      else useBackupBalance.delete(envelope.id);
+    });
+
+    const span = document.createElement('span');
+    span.textContent =
+      `"${envelope.name}": merged $${centsToDollars(mergedCents)}, ` +
+      `backup $${centsToDollars(backupCents)} — use backup balance`;
+
+    row.appendChild(checkbox);
+    row.appendChild(span);
+    container.appendChild(row);
+  });
+}
+
+// Fold the selected parts of a backup into the live state.
+function mergeImport(data, selected, useBackupBalance) {
+  const diff = diffStates(state, data);
+  const conflicts = findBalanceConflicts(diff, selected, data);
+  const counts = { envelopes: 0, transactions: 0, balances: 0 };
+
+  selectedNewEnvelopes(diff, selected).forEach(e => {
+    const baselineCents = importBaselineCents(e, data);
+    state.envelopes.push(new Envelope(e.id, e.name, e.targetCents, baselineCents, {
+      isCreditCard: e.isCreditCard,
+      isActive: e.isActive,
+    }, e.allocation, e.rollover, importOwedBaselineCents(e, data)));
+    if (baselineCents !== 0) state.openingBalances.balances[e.id] = baselineCents;
+    counts.envelopes++;
+  });
+
+  diff.envelopes.changed.forEach(({ current, incoming, fields }) => {
+    if (!selected.has(importSelectionKey('env', 'change', current.id))) return;
+    if (isCoreEnvelope(current)) {
+      if (fields.includes('name')) current.name = incoming.name;
+    } else {
+      fields.forEach(f => { current[f] = incoming[f]; });
+    }
+    counts.envelopes++;
+  });
+
+  // Accounts the backup has and this budget doesn't come in with the backup's
+  // balance, which already includes the backup's transactions.
+  const newAccounts = data.accounts.filter(a => !getAccount(a.id)).map(a => ({ ...a }));
+  state.accounts.push(...newAccounts);
+
+  selectedTransactionOps(diff, selected).forEach(op => {
+    if (op.remove) {
+      applyTransactionToBalances(op.remove, -1);
+      state.transactions = state.transactions.filter(t => t.id !== op.remove.id);
+    }
+    if (op.add) {
+      const tx = new Transaction(op.add);
+      applyTransactionToBalances(tx, +1);
+      state.transactions.push(tx);
+    }
+    counts.transactions++;
+  });
+
+  newAccounts.forEach(account => {
+    account.balanceCents = data.accounts.find(a => a.id === account.id).balanceCents;
+  });
+
+  conflicts.forEach(({ envelope, backupCents }) => {
+    if (!useBackupBalance.has(envelope.id)) return;
+    const env = state.envelopes.find(e => e.id === envelope.id);
+    env.balanceCents = backupCents;
+    counts.balances++;
+  });
+
+  const income = getIncomeEnvelope();
+  diff.envelopes.removed.forEach(env => {
+    if (!selected.has(importSelectionKey('env', 'remove', env.id))) return;
+    if (isCoreEnvelope(env) || !env.isActive) return;
+    if (env.balanceCents !== 0 && income) {
+      addTransaction({
+        fromEnvelopeId: env.id,
+        toEnvelopeId: income.id,
+        amountDollars: env.balanceCents / 100,
+        note: `Auto-merge from deleted envelope "${env.name}"`,
+      });
+    }
+    env.isActive = false;
+    counts.envelopes++;
+  });
+
+  ensureCoreEnvelopes();
+  saveState('Merge backup');
+  renderAll();
+  return counts;
+}
+
+// ===== Accounts =====
+
+const ACCOUNT_TYPES = {
+  checking: 'Checking',
+  savings: 'Savings',
+  cash: 'Cash',
+};
+
+function defaultAccount() {
+  return { id: 'acct_checking', name: 'Checking', type: 'checking', balanceCents: 0 };
+}
+
+function getAccount(id) {
+  return state.accounts.find(a => a.id === id) || null;
+}
+
+function getTotalAccountsBalanceCents() {
+  return state.accounts.reduce((sum, a) => sum + a.balanceCents, 0);
+}
+
+// How a transaction moves money in or out of its account: spending leaves,
+// income arrives, moves between envelopes don't touch it.
+function getBankEffectCents(tx) {
+  const hasFrom = !!(tx.fromEnvelopeId || tx.splits);
+  if (hasFrom && !tx.toEnvelopeId) return -tx.amountCents;
+  if (!hasFrom && tx.toEnvelopeId) return tx.amountCents;
+  return 0;
+}
+
+// Per-account balance changes a transaction causes, as [accountId, cents] pairs.
+function getAccountDeltas(tx) {
+  if (tx.toAccountId) {
+    return [[tx.accountId, -tx.amountCents], [tx.toAccountId, tx.amountCents]];
+  }
+  const effectCents = tx.accountId ? getBankEffectCents(tx) : 0;
+  return effectCents ? [[tx.accountId, effectCents]] : [];
+}
+
+function getAccountEffectCents(tx, accountId) {
+  return getAccountDeltas(tx)
+    .filter(([id]) => id === accountId)
+    .reduce((sum, [, cents]) => sum + cents, 0);
+}
+
+function addAccount(name, type) {
+  const account = {
+    id: 'acct_' + Date.now() + '_' + Math.random().toString(16).slice(2),
+    name,
+    type,
+    balanceCents: 0,
+  };
+  state.accounts.push(account);
+  saveState('Add account');
+  renderSummary();
+  return account;
+}
+
+function renameAccount(id, name) {
+  const account = getAccount(id);
+  if (!account) return;
+  account.name = name;
+  saveState('Rename account');
+  renderSummary();
+  renderTransactions();
+}
+
+function deleteAccount(id) {
+  const account = getAccount(id);
+  if (!account) return;
+
+  if (state.accounts.length === 1) {
+    notifyError('You need at least one account.');
+    return;
+  }
+  if (account.balanceCents !== 0) {
+    notifyError('Move this account\'s money out or set its balance to $0 before deleting it.');
+    return;
+  }
+  if (state.transactions.some(tx => tx.accountId === id || tx.toAccountId === id)) {
+    notifyError('Transactions still go through this account, so it cannot be deleted.');
+    return;
+  }
+
+  state.accounts = state.accounts.filter(a => a.id !== id);
+  state.reconciliations = state.reconciliations.filter(r => r.accountId !== id);
+  saveState('Delete account');
+  renderSummary();
+}
+
+// Sets an account's balance and keeps a record of the change. Reconciling
+// passes kind 'reconcile' with the transactions it locked.
+// Entry in the account balance log, newest last.
+function addBalanceRecord(accountId, { kind, previousCents, balanceCents, transactionIds = [], adjustmentTransactionId = null }) {
+  const record = {
+    id: 'rec_' + Date.now() + '_' + Math.random().toString(16).slice(2),
+    timestamp: new Date().toISOString(),
+    accountId,
+    kind,
+    previousCents,
+    balanceCents,
+    transactionIds,
+    adjustmentTransactionId,
+  };
+  state.reconciliations.push(record);
+  return record;
+}
+
+// Set an account's balance by hand.
+function updateAccountBalance(accountId, dollars) {
+  const account = getAccount(accountId);
+  if (!account) return null;
+
+  const record = addBalanceRecord(accountId, {
+    kind: 'manual',
+    previousCents: account.balanceCents,
+    balanceCents: dollarsToCents(dollars),
+  });
+  account.balanceCents = record.balanceCents;
+  saveState('Update account balance');
+  renderSummary();
+  return record;
+}
+
+function transferBetweenAccounts(fromAccountId, toAccountId, amountDollars, note) {
+  return addTransaction({
+    accountId: fromAccountId,
+    toAccountId,
+    amountDollars,
+    note,
+  });
+}
+
+// ===== Envelope operations =====
+function ensureCoreEnvelopes() {
+  // Fix duplicates if they ever exist
+  const incomeEnvs = state.envelopes.filter(e => e.isIncome);
+  const overflowEnvs = state.envelopes.filter(e => e.isOverflow);
+
+  if (incomeEnvs.length > 1) {
+    incomeEnvs.slice(1).forEach(e => { e.isIncome = false; });
+  }
+  if (overflowEnvs.length > 1) {
+    overflowEnvs.slice(1).forEach(e => { e.isOverflow = false; });
+  }
+
+  // Ensure exactly one Income
+  let income = state.envelopes.find(e => e.isIncome);
+  if (!income) {
+    income = new Envelope(
+      'env_income',
+      'Income',
+      0,  // no target
+      0,
+      { isIncome: true, isOverflow: false, isCreditCard: false, isActive: true }
+    );
+    state.envelopes.push(income);
+  } else {
+    income.targetCents = 0;
+    income.isActive = true;
+  }
+
+  // Ensure exactly one Overflow
+  let overflow = state.envelopes.find(e => e.isOverflow);
+  if (!overflow) {
+    overflow = new Envelope(
+      'env_overflow',
+      'Overflow',
+      0,
+      0,
+      { isIncome: false, isOverflow: true, isCreditCard: false, isActive: true }
+    );
+    state.envelopes.push(overflow);
+  } else {
+    overflow.targetCents = 0;
+    overflow.isActive = true;
+  }
+
+  saveState('Add core envelopes');
+}
+
+function renderCoreEnvelopesPanel() {
+  const income = getIncomeEnvelope();
+  const overflow = getOverflowEnvelope();
+
+  const incomeEl = document.getElementById('income-balance');
+  const overflowEl = document.getElementById('overflow-balance');
+
+  if (incomeEl) incomeEl.textContent = income ? centsToDollars(income.balanceCents) : '0.00';
+  if (overflowEl) overflowEl.textContent = overflow ? centsToDollars(overflow.balanceCents) : '0.00';
+}
+
+function isCoreEnvelope(env) {
+  return env.isIncome || env.isOverflow;
+}
+
+function getIncomeEnvelope() {
+  return state.envelopes.find(e => e.isIncome);
+}
+
+function getOverflowEnvelope() {
+  return state.envelopes.find(e => e.isOverflow);
+}
+
+function addEnvelope(name, targetDollars, flags = {}) {
+  if (!name) return;
+  const id = 'env_' + Date.now() + '_' + Math.random().toString(16).slice(2);
+  const targetCents = dollarsToCents(targetDollars);
+  const env = new Envelope(id, name, targetCents, 0, flags);
+  state.envelopes.push(env);
+  console.log('Envelope added:', env);
+  saveState('Add envelope');
+  renderEnvelopes();
+}
+
+function addCreditCardEnvelope(name) {
+  if (!name) return;
+
+  const id = 'card_' + Date.now() + '_' + Math.random().toString(16).slice(2);
+  const env = new Envelope(id, name, 0, 0, {
+    isIncome: false,
+    isOverflow: false,
+    isCreditCard: true,
+    isActive: true,
+  });
+
+  state.envelopes.push(env);
+  saveState('Add credit card');
+  renderEnvelopes();
+  renderCreditCards();
+  renderTransactionEnvelopeOptions();
+}
+
+async function deleteEnvelope(id) {
+  const env = state.envelopes.find(e => e.id === id);
+  if (!env) return;
+
+  if (isCoreEnvelope(env)) {
+    notifyError('Income and Overflow envelopes cannot be deleted.');
+    return;
+  }
+
+  const income = getIncomeEnvelope();
+  if (!income) {
+    notifyError('Income envelope not found; cannot safely delete.');
+    return;
+  }
+
+  if (env.balanceCents !== 0) {
+    const amountDollars = env.balanceCents / 100;
+    const ok = await confirmDialog(
+      `This envelope has a balance of $${amountDollars.toFixed(2)}.\n` +
+      `If you delete it, that balance will be moved back to Income.`,
+      { title: `Delete "${env.name}"?`, confirmLabel: 'Delete and move to Income' }
+    );
+    if (!ok) return;
+
+    // Move full balance back to Income as a transaction
+    addTransaction({
+      fromEnvelopeId: env.id,
+      toEnvelopeId: income.id,
+      amountDollars,
+      note: `Auto-merge from deleted envelope "${env.name}"`,
+    });
+
+    // After addTransaction, env.balanceCents should be zero
+  }
+
+  // Soft delete: mark inactive
+  env.isActive = false;
+  pauseRecurringForEnvelope(env.id);
+
+  saveState('Delete envelope');
+  renderEnvelopes();
+  renderTransactions();
+  renderRecurring();
+}
+
+function updateEnvelope(id, updates) {
+  const env = state.envelopes.find(e => e.id === id);
+  if (!env) return;
+
+  const core = isCoreEnvelope(env);
+
+  if (!core) {
+    if (updates.name != null) env.name = updates.name;
+    if (updates.targetDollars != null) {
+      env.targetCents = dollarsToCents(updates.targetDollars);
+    }
+    if (updates.rollover != null && ROLLOVER_POLICIES[updates.rollover.policy]) {
+      env.rollover = {
+        policy: updates.rollover.policy,
+        capCents: dollarsToCents(updates.rollover.capDollars),
+      };
+    }
+  }
+
+  if (updates.isIncome != null) env.isIncome = !!updates.isIncome;
+  if (updates.isOverflow != null) env.isOverflow = !!updates.isOverflow;
+  if (updates.isCreditCard != null) env.isCreditCard = !!updates.isCreditCard;
+  if (updates.isActive != null && !core) env.isActive = !!updates.isActive; // never deactivate core
+
+  saveState('Edit envelope');
+  renderEnvelopes();
+}
+
+function getTotalEnvelopesBalanceCents() {
+  return state.envelopes
+    .filter(e => e.isActive)
+    .reduce((sum, e) => sum + e.balanceCents, 0);
+}
+
+function getTotalNonCardEnvelopesBalanceCents() {
+  return state.envelopes
+    .filter(e => e.isActive && !e.isCreditCard)
+    .reduce((sum, e) => sum + e.balanceCents, 0);
+}
+
+function getTotalAllocationsCents() {
+  return state.envelopes
+    .filter(env =>
+      env.isActive &&
+      !isCoreEnvelope(env) &&      // exclude Income & Overflow
+      !env.isCreditCard &&         // exclude credit cards
+      env.targetCents > 0          // only things the user allocates into
+    )
+    .reduce((sum, env) => sum + env.targetCents, 0);
+}
+
+function cleanupUnusedEnvelopes() {
+  // Build set of all envelope IDs that are still referenced in transactions,
+  // recurring templates or payee rules
+  const usedIds = new Set();
+  for (const tx of [...state.transactions, ...state.recurring, ...state.payeeRules]) {
+    getTransactionEnvelopeIds(tx).forEach(id => usedIds.add(id));
+  }
+
+  state.envelopes = state.envelopes.filter(env => {
+    // Never remove core envelopes
+    if (isCoreEnvelope(env)) return true;
+
+    // Keep active envelopes
+    if (env.isActive) return true;
+
+    // For inactive envelopes:
+    // - if they are used in any remaining transaction, keep them (for history names)
+    // - if they have non-zero balance (should not happen, but be safe), keep them
+    if (env.balanceCents !== 0) return true;
+    if (usedIds.has(env.id)) return true;
+
+    // Inactive, zero balance, and no references -> safe to permanently remove
+    delete state.openingBalances.balances[env.id];
+    return false;
+  });
+
+  saveState('Remove unused envelopes');
+}
+
+// ===== Transactions operations ====
+function generateTransactionId() {
+  return crypto.randomUUID
+    ? crypto.randomUUID()
+    : 'tx_' + Date.now() + '_' + Math.random().toString(16).slice(2);
+}
+
+function addTransaction({
+  fromEnvelopeId, toEnvelopeId, amountDollars, note, batchId, timestamp, recurringId,
+  payee, tags, ruleId, kind, accountId, toAccountId, splits,
+}) {
+  // Split lines come in dollars like the amount, and make up the whole of it
+  const splitLines = splits
+    ? splits.map(line => ({ envelopeId: line.envelopeId, amountCents: dollarsToCents(line.amountDollars) }))
+    : null;
+  const amountCents = splitLines
+    ? splitLines.reduce((sum, line) => sum + line.amountCents, 0)
+    : dollarsToCents(amountDollars);
+  if (!amountCents) return null;
+
+  const tx = new Transaction({
+    id: generateTransactionId(),
+    timestamp: timestamp || new Date().toISOString(),
+    fromEnvelopeId: splitLines ? null : fromEnvelopeId || null,
+    toEnvelopeId: toEnvelopeId || null,
+    amountCents,
+    note: note || '',
+    batchId,
+    recurringId,
+    payee,
+    tags,
+    ruleId,
+    kind,
+    accountId,
+    toAccountId,
+    splits: splitLines,
+  });
+
+  applyTransactionToBalances(tx, +1);
+  state.transactions.push(tx);
+
+  saveState('Add transaction');
+  renderEnvelopes();
+  renderTransactions();
+  return tx;
+}
+
+// Every envelope a transaction touches, split lines included.
+function getTransactionEnvelopeIds(tx) {
+  return [tx.fromEnvelopeId, tx.toEnvelopeId, ...(tx.splits || []).map(line => line.envelopeId)]
+    .filter(Boolean);
+}
+
+// Per-envelope balance changes a transaction causes, as [envelopeId, cents] pairs.
+function getTransactionDeltas(tx) {
+  const deltas = [];
+  if (tx.fromEnvelopeId) deltas.push([tx.fromEnvelopeId, -tx.amountCents]);
+  (tx.splits || []).forEach(line => deltas.push([line.envelopeId, -line.amountCents]));
+  if (tx.toEnvelopeId) deltas.push([tx.toEnvelopeId, tx.amountCents]);
+  return deltas;
+}
+
+// Timestamp for a transaction dated dateStr ("YYYY-MM-DD"). An unchanged date
+// keeps the existing time; today means now, so same-day entries stay in order;
+// other days land at local noon.
+function getEntryTimestamp(dateStr, existingTimestamp) {
+  if (existingTimestamp && formatLocalDate(new Date(existingTimestamp)) === dateStr) {
+    return existingTimestamp;
+  }
+  if (dateStr === formatLocalDate(new Date())) return new Date().toISOString();
+  return localDateToTimestamp(dateStr);
+}
+
+// Why entered transaction details can't be saved, or null if they can.
+function getTransactionInputProblem({ date, fromEnvelopeId, toEnvelopeId, amountDollars, splits, isTransfer }) {
+  if (!isValidLocalDate(date)) return 'enter a valid date';
+  if (date > formatLocalDate(new Date())) return 'the date cannot be in the future';
+  if (splits) {
+    if (splits.length < 2) return 'a split needs at least two lines';
+    if (splits.some(line => !line.envelopeId || !(line.amountDollars > 0))) {
+      return 'give every split line an envelope and a positive amount';
+    }
+    return null;
+  }
+  if (!(amountDollars > 0)) return 'enter a positive amount';
+  if (isTransfer) return null;
+  if (!fromEnvelopeId && !toEnvelopeId) return 'select at least one envelope (from or to)';
+  if (fromEnvelopeId && fromEnvelopeId === toEnvelopeId) return 'from and to must be different envelopes';
+  return null;
+}
+
+// `target` is the state whose envelopes and accounts change; sync merges
+// pass plain data here.
+function applyTransactionToBalances(tx, direction, target = state) {
+  const sign = direction; // +1 apply, -1 rollback
+
+  getTransactionDeltas(tx).forEach(([envId, deltaCents]) => {
+    const env = target.envelopes.find(e => e.id === envId);
+    if (env) {
+      env.balanceCents += sign * deltaCents;
+    }
+  });
+
+  getAccountDeltas(tx).forEach(([accountId, deltaCents]) => {
+    const account = target.accounts.find(a => a.id === accountId);
+    if (account) {
+      account.balanceCents += sign * deltaCents;
+    }
+  });
+
+  // Charges add to what the card owes; payments clear it.
+  if (tx.kind === 'cardCharge') {
+    const card = target.envelopes.find(e => e.id === tx.toEnvelopeId);
+    if (card) card.cardOwedCents += sign * tx.amountCents;
+  } else if (tx.kind === 'cardPayment') {
+    const card = target.envelopes.find(e => e.id === tx.fromEnvelopeId);
+    if (card) card.cardOwedCents -= sign * tx.amountCents;
+  }
+}
+
+function updateTransaction(id, updates) {
+  const index = state.transactions.findIndex(t => t.id === id);
+  if (index === -1) return;
+
+  const oldTx = state.transactions[index];
+  if (isTransactionLocked(oldTx)) {
+    notifyError('This transaction is reconciled and can no longer be changed.');
+    return;
+  }
+
+  // A split's total is always the sum of its lines, so change the lines instead
+  if (oldTx.splits && updates.amountDollars !== undefined && updates.splits === undefined) {
+    notifyError('Change the split lines to change this transaction\'s amount.');
+    return;
+  }
+  const splits = updates.splits !== undefined
+    ? (updates.splits || null) && updates.splits.map(line => ({
+      envelopeId: line.envelopeId,
+      amountCents: dollarsToCents(line.amountDollars),
+    }))
+    : oldTx.splits;
+  if (splits && (splits.length < 2 || splits.some(line => line.amountCents <= 0))) {
+    notifyError('A split needs at least two lines, each with a positive amount.');
+    return;
+  }
+
+  // 1) build updated transaction
+  const newTx = new Transaction({
+    ...oldTx,
+    timestamp: updates.timestamp !== undefined ? updates.timestamp : oldTx.timestamp,
+    fromEnvelopeId: splits
+      ? null
+      : updates.fromEnvelopeId !== undefined ? updates.fromEnvelopeId : oldTx.fromEnvelopeId,
+    toEnvelopeId: updates.toEnvelopeId !== undefined ? updates.toEnvelopeId : oldTx.toEnvelopeId,
+    amountCents: splits
+      ? splits.reduce((sum, line) => sum + line.amountCents, 0)
+      : updates.amountDollars !== undefined
+        ? dollarsToCents(updates.amountDollars)
+        : oldTx.amountCents,
+    note: updates.note !== undefined ? updates.note : oldTx.note,
+    splits,
+  });
+
+  const cardProblem = getCardKindProblem(newTx);
+  if (cardProblem) {
+    notifyError(`Cannot change this transaction: ${cardProblem}.`);
+    return;
+  }
+
+  // 2) rollback old, apply new
+  applyTransactionToBalances(oldTx, -1);
+  applyTransactionToBalances(newTx, +1);
+
+  // 4) store and re-render
+  state.transactions[index] = newTx;
+  saveState('Edit transaction');
+  renderEnvelopes();
+  renderTransactions();
+}
+
+function deleteTransaction(id) {
+  const index = state.transactions.findIndex(t => t.id === id);
+  if (index === -1) return;
+
+  const tx = state.transactions[index];
+  if (isTransactionLocked(tx)) {
+    notifyError('This transaction is reconciled and can no longer be deleted.');
+    return;
+  }
+
+  // Reactivate any inactive envelopes referenced by this transaction.
+  // This fixes the case where a deleted envelope was auto-merged into Income,
+  // and then the user deletes the auto-merge transaction:
+  // the original envelope becomes active again with its balance restored.
+  getTransactionEnvelopeIds(tx).forEach(envId => {
+    const env = state.envelopes.find(e => e.id === envId);
+    if (env && !env.isActive) {
+      env.isActive = true;
+    }
+  });
+
+  // Roll back balances
+  applyTransactionToBalances(tx, -1);
+
+  // Remove transaction
+  state.transactions.splice(index, 1);
+
+  saveState('Delete transaction');
+  renderEnvelopes();
+  renderTransactions();
+}
+
+
+// ===== Credit cards =====
+
+// A card envelope's balance is the money reserved to pay it; cardOwedCents is
+// what the card statement says is owed. Charges move spending money into the
+// card envelope and add to what is owed; payments take both back down.
+const CARD_TRANSACTION_KINDS = {
+  cardCharge: 'Card charge',
+  cardPayment: 'Card payment',
+};
+
+// Why a card transaction's envelopes don't fit its kind, or null if they do.
+function getCardKindProblem(tx, envelopes = state.envelopes) {
+  const isCard = id => !!envelopes.find(e => e.id === id && e.isCreditCard);
+  if (tx.kind === 'cardCharge') {
+    if (!isCard(tx.toEnvelopeId)) return 'a card charge must go to a credit card';
+    const fromIds = tx.splits ? tx.splits.map(line => line.envelopeId) : [tx.fromEnvelopeId];
+    if (fromIds.some(id => !id || isCard(id))) return 'a card charge must come from spending envelopes';
+  }
+  if (tx.kind === 'cardPayment') {
+    if (!isCard(tx.fromEnvelopeId) || tx.toEnvelopeId) return 'a card payment must come from a credit card and go nowhere';
+  }
+  return null;
+}
+
+function getCardShortfallCents(card) {
+  return Math.max(0, card.cardOwedCents - card.balanceCents);
+}
+
+function getTotalCardOwedCents() {
+  return state.envelopes
+    .filter(e => e.isActive && e.isCreditCard)
+    .reduce((sum, e) => sum + e.cardOwedCents, 0);
+}
+
+function chargeCard({ cardId, fromEnvelopeId, amountDollars, payee, note }) {
+  return addTransaction({
+    fromEnvelopeId,
+    toEnvelopeId: cardId,
+    amountDollars,
+    payee,
+    note,
+    kind: 'cardCharge',
+  });
+}
+
+function payCard(cardId, amountDollars, accountId) {
+  return addTransaction({
+    fromEnvelopeId: cardId,
+    toEnvelopeId: null,
+    amountDollars,
+    note: 'Card payment',
+    kind: 'cardPayment',
+    accountId,
+  });
+}
+
+// ===== Ledger audit =====
+
+// Balance every envelope should have: its opening balance plus the ledger.
+function computeLedgerBalances() {
+  const balances = new Map(
+    state.envelopes.map(e => [e.id, state.openingBalances.balances[e.id] || 0])
+  );
+  state.transactions.forEach(tx => {
+    getTransactionDeltas(tx).forEach(([id, delta]) => {
+      if (balances.has(id)) balances.set(id, balances.get(id) + delta);
+    });
+  });
+  return balances;
+}
+
+// Envelopes whose stored balance has drifted away from the ledger.
+function auditLedger() {
+  const ledger = computeLedgerBalances();
+  return state.envelopes
+    .map(env => ({
+      envelope: env,
+      balanceCents: env.balanceCents,
+      ledgerCents: ledger.get(env.id),
+      driftCents: env.balanceCents - ledger.get(env.id),
+    }))
+    .filter(d => d.driftCents !== 0);
+}
+
+// Record each drift as an explicit ledger entry. The balance already holds
+// the money, so the entry is logged without being applied again.
+function postAuditAdjustments(discrepancies) {
+  const timestamp = new Date().toISOString();
+  discrepancies.forEach(({ envelope, driftCents }) => {
+    state.transactions.push(new Transaction({
+      id: generateTransactionId(),
+      timestamp,
+      fromEnvelopeId: driftCents < 0 ? envelope.id : null,
+      toEnvelopeId: driftCents > 0 ? envelope.id : null,
+      amountCents: Math.abs(driftCents),
+      note: `Audit adjustment for "${envelope.name}"`,
+    }));
+  });
+
+  saveState('Post audit adjustments');
+  renderTransactions();
+}
+
+function renderAudit() {
+  const container = document.getElementById('audit-body');
+  const fixBtn = document.getElementById('audit-fix-btn');
+  if (!container) return;
+
+  const discrepancies = auditLedger();
+  container.innerHTML = '';
+
+  if (discrepancies.length === 0) {
+    container.textContent = 'Every envelope balance matches its opening balance plus the ledger.';
+  }
+
+  discrepancies.forEach(({ envelope, balanceCents, ledgerCents, driftCents }) => {
+    const row = document.createElement('div');
+    row.className = 'audit-item';
+    const status = envelope.isActive ? '' : ' (deleted)';
+    row.textContent =
+      `${envelope.name}${status}: balance $${centsToDollars(balanceCents)}, ` +
+      `ledger $${centsToDollars(ledgerCents)}, drift $${centsToDollars(driftCents)}`;
+    container.appendChild(row);
+  });
+
+  if (fixBtn) fixBtn.hidden = discrepancies.length === 0;
+}
+
+function openAudit() {
+  renderAudit();
+  const panel = document.getElementById('audit-panel');
+  if (panel) {
+    panel.hidden = false;
+    panel.scrollIntoView();
+  }
+}
+
+function closeAudit() {
+  const panel = document.getElementById('audit-panel');
+  if (panel) panel.hidden = true;
+}
+
+// ===== Reconciliation =====
+
+// Reconcile panel in progress: the account being reconciled, and the starting
+// balance used when it has no earlier reconciliation to start from.
+let reconcileDraft = null;
+
+// A transfer shows up on two statements, so each side clears separately.
+function getReconcileFields(tx, accountId) {
+  return tx.toAccountId === accountId
+    ? { cleared: 'toCleared', reconciledId: 'toReconciledId' }
+    : { cleared: 'cleared', reconciledId: 'reconciledId' };
+}
+
+function isTransactionLocked(tx) {
+  return !!(tx.reconciledId || tx.toReconciledId);
+}
+
+// Still on some account's reconcile list.
+function isAwaitingReconcile(tx) {
+  return getAccountDeltas(tx).some(([accountId, cents]) =>
+    cents !== 0 && !tx[getReconcileFields(tx, accountId).reconciledId]
+  );
+}
+
+function getLastReconciliation(accountId) {
+  return [...state.reconciliations]
+    .reverse()
+    .find(r => r.kind === 'reconcile' && r.accountId === accountId) || null;
+}
+
+// Transactions through an account still waiting to be matched against its
+// statement, oldest first.
+function getReconcilableTransactions(accountId) {
+  return state.transactions
+    .filter(tx =>
+      getAccountEffectCents(tx, accountId) !== 0 &&
+      !tx[getReconcileFields(tx, accountId).reconciledId]
+    )
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+function getReconcileStartCents(accountId) {
+  const last = getLastReconciliation(accountId);
+  return last ? last.balanceCents : (reconcileDraft?.startCents || 0);
+}
+
+function getClearedTotalCents(accountId) {
+  return getReconcilableTransactions(accountId)
+    .filter(tx => tx[getReconcileFields(tx, accountId).cleared])
+    .reduce((sum, tx) => sum + getAccountEffectCents(tx, accountId), 0);
+}
+
+// What the statement shows that the cleared items don't explain.
+function getReconcileDiscrepancyCents(accountId, statementCents) {
+  return statementCents - (getReconcileStartCents(accountId) + getClearedTotalCents(accountId));
+}
+
+function setTransactionCleared(id, accountId, cleared) {
+  const tx = state.transactions.find(t => t.id === id);
+  if (!tx) return;
+  const fields = getReconcileFields(tx, accountId);
+  if (tx[fields.reconciledId]) return;
+  tx[fields.cleared] = !!cleared;
+  saveState('Mark transaction cleared');
+  renderTransactions();
+}
+
+// Lock the cleared items, optionally balance the difference through Overflow,
+// and record the statement balance as the account's new balance.
+function finishReconciliation(accountId, statementDollars, postAdjustment) {
+  const statementCents = dollarsToCents(statementDollars);
+  const discrepancyCents = getReconcileDiscrepancyCents(accountId, statementCents);
+  const cleared = getReconcilableTransactions(accountId)
+    .filter(tx => tx[getReconcileFields(tx, accountId).cleared]);
+
+  let adjustment = null;
+  if (postAdjustment && discrepancyCents !== 0) {
+    const overflow = getOverflowEnvelope();
+    adjustment = addTransaction({
+      fromEnvelopeId: discrepancyCents < 0 ? overflow.id : null,
+      toEnvelopeId: discrepancyCents > 0 ? overflow.id : null,
+      amountDollars: Math.abs(discrepancyCents) / 100,
+      note: 'Reconciliation adjustment',
+      accountId,
+    });
+    adjustment.cleared = true;
+    cleared.push(adjustment);
+  }
+
+  // The statement figure goes on the record only. The account's balance
+  // still counts what hasn't cleared, and the adjustment already moved it.
+  const record = addBalanceRecord(accountId, {
+    kind: 'reconcile',
+    previousCents: getReconcileStartCents(accountId),
+    balanceCents: statementCents,
+    transactionIds: cleared.map(tx => tx.id),
+    adjustmentTransactionId: adjustment ? adjustment.id : null,
+  });
+  cleared.forEach(tx => { tx[getReconcileFields(tx, accountId).reconciledId] = record.id; });
+
+  saveState('Finish reconciliation');
+  renderSummary();
+  renderTransactions();
+  return record;
+}
+
+function renderReconcile() {
+  const accountSelect = document.getElementById('reconcile-account');
+  const statementInput = document.getElementById('reconcile-statement');
+  const startInput = document.getElementById('reconcile-start');
+  const status = document.getElementById('reconcile-status');
+  const list = document.getElementById('reconcile-list');
+  const history = document.getElementById('reconcile-history');
+  if (!reconcileDraft || !accountSelect || !statementInput || !startInput || !status || !list || !history) return;
+
+  const accountId = reconcileDraft.accountId;
+  accountSelect.value = accountId;
+
+  // Only an account's very first reconciliation needs a starting balance typed in
+  const last = getLastReconciliation(accountId);
+  startInput.disabled = !!last;
+  startInput.value = (getReconcileStartCents(accountId) / 100).toFixed(2);
+
+  const items = getReconcilableTransactions(accountId);
+  list.innerHTML = '';
+  if (items.length === 0) list.textContent = 'No unreconciled transactions.';
+  items.forEach(tx => {
+    const row = document.createElement('label');
+    row.className = 'transaction';
+    const tick = document.createElement('input');
+    tick.type = 'checkbox';
+    tick.checked = tx[getReconcileFields(tx, accountId).cleared];
+    tick.addEventListener('change', () => {
+      setTransactionCleared(tx.id, accountId, tick.checked);
+      renderReconcileStatus();
+    });
+    row.appendChild(tick);
+    row.appendChild(document.createTextNode(
+      ` ${getAccountEffectCents(tx, accountId) > 0 ? '+' : '-'} ${formatTransactionText(tx)}`
+    ));
+    list.appendChild(row);
+  });
+
+  const records = state.reconciliations.filter(r => r.accountId === accountId);
+  history.innerHTML = '';
+  if (records.length === 0) history.textContent = 'No balance history for this account yet.';
+  records.reverse().forEach(rec => {
+    const row = document.createElement('div');
+    row.className = 'transaction';
+    row.textContent =
+      `${new Date(rec.timestamp).toLocaleString()} | ` +
+      (rec.kind === 'reconcile'
+        ? `Reconciled ${rec.transactionIds.length} item(s)` +
+          (rec.adjustmentTransactionId ? ' with an adjustment' : '')
+        : 'Set by hand') +
+      ` | $${centsToDollars(rec.previousCents)} → $${centsToDollars(rec.balanceCents)}`;
+    history.appendChild(row);
+  });
+
+  renderReconcileStatus();
+}
+
+function renderReconcileStatus() {
+  const statementInput = document.getElementById('reconcile-statement');
+  const status = document.getElementById('reconcile-status');
+  if (!reconcileDraft || !statementInput || !status) return;
+
+  const accountId = reconcileDraft.accountId;
+  const lines = [
+    `Starting balance: $${centsToDollars(getReconcileStartCents(accountId))}`,
+    `Cleared: $${centsToDollars(getClearedTotalCents(accountId))}`,
+  ];
+  if (statementInput.value !== '') {
+    const discrepancyCents = getReconcileDiscrepancyCents(accountId, dollarsToCents(Number(statementInput.value)));
+    lines.push(discrepancyCents === 0
+      ? 'Balanced.'
+      : `Discrepancy: $${centsToDollars(discrepancyCents)}`);
+  }
+  status.textContent = lines.join(' | ');
+}
+
+function openReconcile(accountId) {
+  const account = getAccount(accountId) || state.accounts[0];
+  if (!account) return;
+  reconcileDraft = { accountId: account.id, startCents: 0 };
+  const statementInput = document.getElementById('reconcile-statement');
+  if (statementInput) statementInput.value = '';
+  renderReconcile();
+  const panel = document.getElementById('reconcile-panel');
+  if (panel) {
+    panel.hidden = false;
+    panel.scrollIntoView();
+  }
+}
+
+function closeReconcile() {
+  reconcileDraft = null;
+  const panel = document.getElementById('reconcile-panel');
+  if (panel) panel.hidden = true;
+}
+
+// ===== Archive =====
+
+// Local calendar month of a date, as "YYYY-MM".
+function monthKeyOf(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// Returns the archive, or null if the stored archive is unreadable (in which
+// case nothing should be written over it).
+function loadArchive() {
+  const raw = encryptionKey ? archiveText : localStorage.getItem(getArchiveKey());
+  if (!raw) return { months: [] };
+  try {
+    const archive = JSON.parse(raw);
+    const problems = validateArchive(archive);
+    if (problems.length) throw new Error(problems.join(' '));
+    return archive;
+  } catch (err) {
+    console.error('Archive is unreadable; leaving it untouched', err);
+    return null;
+  }
+}
+
+function saveArchive(archive) {
+  const text = archive ? JSON.stringify(archive) : null;
+  if (!encryptionKey) {
+    if (text) localStorage.setItem(getArchiveKey(), text);
+    else localStorage.removeItem(getArchiveKey());
+    return;
+  }
+
+  // Sealed in the background, in order with the state writes.
+  archiveText = text;
+  const key = encryptionKey;
+  storageQueue = storageQueue
+    .then(async () => {
+      if (!text) localStorage.removeItem(getArchiveKey());
+      else localStorage.setItem(getArchiveKey(), JSON.stringify({ sealed: await encryptWithKey(key, text) }));
+    })
+    .catch(err => {
+      console.error('Failed to save archive', err);
+      notifyError(`The archive could not be saved: ${err.message || err}`);
+    });
+}
+
+function getArchivedTransactionIds() {
+  const archive = loadArchive();
+  const ids = new Set();
+  if (archive) archive.months.forEach(m => m.transactions.forEach(t => ids.add(t.id)));
+  return ids;
+}
+
+// File transactions under their months in the archive. Returns false if the
+// archive could not be read or saved.
+function addToArchive(transactions) {
+  const archive = loadArchive();
+  if (!archive) return false;
+
+  const archivedIds = new Set();
+  archive.months.forEach(m => m.transactions.forEach(t => archivedIds.add(t.id)));
+
+  transactions.forEach(tx => {
+    // Already archived by an earlier run whose state save failed
+    if (archivedIds.has(tx.id)) return;
+
+    const key = monthKeyOf(new Date(tx.timestamp));
+    let month = archive.months.find(m => m.month === key);
+    if (!month) {
+      month = { month: key, envelopeNames: {}, transactions: [] };
+      archive.months.push(month);
+    }
+    month.transactions.push({ ...tx });
+    getTransactionEnvelopeIds(tx).forEach(id => {
+      const env = state.envelopes.find(e => e.id === id);
+      if (env) month.envelopeNames[id] = env.name;
+    });
+  });
+  archive.months.sort((a, b) => a.month.localeCompare(b.month));
+
+  try {
+    saveArchive(archive);
+  } catch (err) {
+    console.error('Failed to save archive; keeping transactions in the ledger', err);
+    return false;
+  }
+  return true;
+}
+
+// Move transactions from closed months (entirely older than the retention
+// window) into the archive, folding their effect into the opening balances.
+function archiveOldTransactions() {
+  const days = state.settings?.transactionRetentionDays || 45; // you can set to 30 if you prefer
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+  const firstOpenMonth = monthKeyOf(cutoff);
+
+  // Bank transactions stay until every account they touch has reconciled
+  // them, or they would never show up in the reconcile list.
+  const old = state.transactions.filter(tx =>
+    monthKeyOf(new Date(tx.timestamp)) < firstOpenMonth &&
+    !isAwaitingReconcile(tx)
+  );
+  if (old.length === 0) return;
+  if (!addToArchive(old)) return;
+
+  const opening = state.openingBalances.balances;
+  old.forEach(tx => {
+    getTransactionDeltas(tx).forEach(([id, delta]) => {
+      opening[id] = (opening[id] || 0) + delta;
+    });
+  });
+
+  const [year, month] = firstOpenMonth.split('-').map(Number);
+  const asOf = new Date(year, month - 1, 1).toISOString();
+  if (!state.openingBalances.asOf || asOf > state.openingBalances.asOf) {
+    state.openingBalances.asOf = asOf;
+  }
+
+  const oldIds = new Set(old.map(tx => tx.id));
+  state.transactions = state.transactions.filter(tx => !oldIds.has(tx.id));
+
+  console.log(`Archived transactions: ${old.length} entries moved out of the ledger`);
+  saveState('Archive old transactions');
+}
+
+// Opening and closing balances of an archived month, derived backwards from
+// the current opening balances so they always agree with the live ledger.
+function getArchivedMonthBalances(archive, monthKey) {
+  const opening = { ...state.openingBalances.balances };
+  const months = [...archive.months].sort((a, b) => b.month.localeCompare(a.month));
+
+  for (const m of months) {
+    const closing = { ...opening };
+    m.transactions.forEach(tx => {
+      getTransactionDeltas(tx).forEach(([id, delta]) => {
+        opening[id] = (opening[id] || 0) - delta;
+      });
+    });
+    if (m.month === monthKey) return { opening, closing };
+  }
+  return null;
+}
+
+function archivedEnvelopeName(month, id) {
+  if (!id) return null;
+  return state.envelopes.find(e => e.id === id)?.name || month.envelopeNames[id] || '(unknown)';
+}
+
+function exportArchivedMonth(monthKey) {
+  const archive = loadArchive();
+  const month = archive && archive.months.find(m => m.month === monthKey);
+  if (!month) {
+    notifyError('Choose an archived month first.');
+    return;
+  }
+
+  const rows = [['Date', 'Amount', 'From', 'To', 'Note', 'Id']];
+  [...month.transactions]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .forEach(tx => {
+      rows.push([
+        tx.timestamp,
+        (tx.amountCents / 100).toFixed(2),
+        tx.splits
+          ? tx.splits.map(line => `${archivedEnvelopeName(month, line.envelopeId)} ${centsToDollars(line.amountCents)}`).join('; ')
+          : archivedEnvelopeName(month, tx.fromEnvelopeId) || '',
+        archivedEnvelopeName(month, tx.toEnvelopeId) || '',
+        tx.note,
+        tx.id,
+      ]);
+    });
+
+  downloadFile(`budget-archive-${monthKey}.csv`, toCsv(rows), 'text/csv');
+}
+
+function renderArchive() {
+  const select = document.getElementById('archive-month');
+  const summary = document.getElementById('archive-summary');
+  const list = document.getElementById('archive-list');
+  if (!select || !summary || !list) return;
+
+  const archive = loadArchive();
+  const months = archive ? [...archive.months].sort((a, b) => b.month.localeCompare(a.month)) : [];
+
+  const previous = select.value;
+  select.innerHTML = '';
+  months.forEach(m => {
+    const opt = document.createElement('option');
+    opt.value = m.month;
+    opt.textContent = `${m.month} (${m.transactions.length})`;
+    select.appendChild(opt);
+  });
+  if (months.some(m => m.month === previous)) select.value = previous;
+
+  summary.innerHTML = '';
+  list.innerHTML = '';
+
+  const month = months.find(m => m.month === select.value);
+  if (!month) {
+    summary.textContent = archive ? 'No archived months yet.' : 'The archive could not be read.';
+    return;
+  }
+
+  const { opening, closing } = getArchivedMonthBalances(archive, month.month);
+  Object.keys({ ...opening, ...closing })
+    .filter(id => (opening[id] || 0) !== 0 || (closing[id] || 0) !== 0)
+    .forEach(id => {
+      const row = document.createElement('div');
+      row.textContent =
+        `${archivedEnvelopeName(month, id)}: ` +
+        `opening $${centsToDollars(opening[id] || 0)} → closing $${centsToDollars(closing[id] || 0)}`;
+      summary.appendChild(row);
+    });
+
+  [...month.transactions]
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    .forEach(tx => {
+      const row = document.createElement('div');
+      row.className = 'transaction';
+      const fromName = tx.splits
+        ? tx.splits.map(line => archivedEnvelopeName(month, line.envelopeId)).join(' + ')
+        : archivedEnvelopeName(month, tx.fromEnvelopeId) || 'Add to';
+      const toName = archivedEnvelopeName(month, tx.toEnvelopeId) || 'Spent';
+      row.textContent =
+        `${new Date(tx.timestamp).toLocaleDateString()} | $${centsToDollars(tx.amountCents)}  | ` +
+        `${fromName} → ${toName} | ${tx.note}`;
+      list.appendChild(row);
+    });
+}
+
+function addIncome(amountDollars, note) {
+  const incomeEnv = getIncomeEnvelope();
+  if (!incomeEnv) {
+    notifyError('Income envelope not found.');
+    return;
+  }
+  addTransaction({
+    fromEnvelopeId: null,
+    toEnvelopeId: incomeEnv.id,
+    amountDollars,
+    note: note || 'Income',
+  });
+}
+
+// ===== Auto allocation =====
+
+// Allocation strategies, keyed by the name stored in env.allocation.strategy.
+// Each returns how much the envelope asks for out of this paycheck.
+const ALLOCATION_STRATEGIES = {
+  fixed: {
+    label: 'Fixed target',
+    requestCents: (env) => env.targetCents,
+  },
+  percent: {
+    label: '% of paycheck',
+    requestCents: (env, paycheckCents) => Math.round(paycheckCents * env.allocation.percent / 100),
+  },
+  fill: {
+    label: 'Fill up to target',
+    requestCents: (env) => Math.max(0, env.targetCents - env.balanceCents),
+  },
+};
+
+function getAllocatableEnvelopes() {
+  return state.envelopes.filter(env =>
+    env.isActive &&
+    !isCoreEnvelope(env) &&
+    !env.isCreditCard
+  );
+}
+
+// Work out what each envelope gets, without touching any balances.
+function planAllocation(paycheckCents, options = state.settings.allocation) {
+  const envelopes = getAllocatableEnvelopes()
+    .map((env, index) => ({ env, index }))
+    .sort((a, b) => (a.env.allocation.priority - b.env.allocation.priority) || (a.index - b.index))
+    .map(({ env }) => env);
+
+  let remainingCents = paycheckCents;
+  const legs = [];
+
+  envelopes.forEach(env => {
+    const strategy = ALLOCATION_STRATEGIES[env.allocation.strategy] || ALLOCATION_STRATEGIES.fixed;
+    const requestedCents = Math.max(0, strategy.requestCents(env, paycheckCents));
+    const amountCents = options.stopWhenIncomeRunsOut
+      ? Math.min(requestedCents, Math.max(0, remainingCents))
+      : requestedCents;
+    remainingCents -= amountCents;
+    legs.push({ envelope: env, requestedCents, amountCents });
+  });
+
+  const overflowCents = options.remainderToOverflow ? Math.max(0, remainingCents) : 0;
+  const totalCents = legs.reduce((sum, leg) => sum + leg.amountCents, 0) + overflowCents;
+
+  return { paycheckCents, legs, overflowCents, totalCents };
+}
+
+// Post a confirmed plan as one auto-allocation batch.
+function autoAllocate(plan) {
+  const income = getIncomeEnvelope();
+  if (!income) {
+    notifyError('Income envelope not found.');
+    return;
+  }
+
+  const legs = plan.legs
+    .filter(leg => leg.amountCents > 0)
+    .map(leg => ({ envelope: leg.envelope, amountCents: leg.amountCents }));
+  const overflow = getOverflowEnvelope();
+  if (plan.overflowCents > 0 && overflow) {
+    legs.push({ envelope: overflow, amountCents: plan.overflowCents });
+  }
+
+  if (legs.length === 0) {
+    notifyError('Nothing to allocate.');
+    return;
+  }
+
+  // Perform the transfers through the transaction engine, logged as one batch
+  const batch = {
+    id: 'batch_' + Date.now() + '_' + Math.random().toString(16).slice(2),
+    timestamp: new Date().toISOString(),
+    paycheckCents: plan.paycheckCents,
+    totalCents: legs.reduce((sum, leg) => sum + leg.amountCents, 0),
+    legs: [],
+    revertedAt: null,
+  };
+
+  legs.forEach(({ envelope, amountCents }) => {
+    const tx = addTransaction({
+      fromEnvelopeId: income.id,
+      toEnvelopeId: envelope.id,
+      amountDollars: amountCents / 100,
+      note: 'Auto allocation',
+      batchId: batch.id,
+    });
+    batch.legs.push({
+      envelopeId: envelope.id,
+      envelopeName: envelope.name,   // kept for history once the envelope is gone
+      strategy: envelope.isOverflow ? 'remainder' : envelope.allocation.strategy,
+      amountCents,
+      transactionId: tx.id,
+    });
+  });
+
+  state.allocationBatches.push(batch);
+  saveState('Auto allocate');
+
+  // Envelopes already re-rendered by addTransaction; just refresh summary explicitly
+  renderSummary();
+  renderAllocationHistory();
+}
+
+function openAllocationPreview() {
+  const income = getIncomeEnvelope();
+  if (!income) {
+    notifyError('Income envelope not found.');
+    return;
+  }
+  if (getAllocatableEnvelopes().length === 0) {
+    notifyError('No envelopes to allocate to.');
+    return;
+  }
+
+  const paycheckInput = document.getElementById('allocation-paycheck');
+  if (paycheckInput) paycheckInput.value = (Math.max(0, income.balanceCents) / 100).toFixed(2);
+
+  const stopInput = document.getElementById('allocation-stop');
+  const overflowInput = document.getElementById('allocation-overflow');
+  if (stopInput) stopInput.checked = state.settings.allocation.stopWhenIncomeRunsOut;
+  if (overflowInput) overflowInput.checked = state.settings.allocation.remainderToOverflow;
+
+  renderAllocationPreview();
+
+  const panel = document.getElementById('allocation-panel');
+  if (panel) {
+    panel.hidden = false;
+    panel.scrollIntoView();
+  }
+}
+
+function closeAllocationPreview() {
+  const panel = document.getElementById('allocation-panel');
+  if (panel) panel.hidden = true;
+}
+
+function getPreviewPaycheckCents() {
+  const input = document.getElementById('allocation-paycheck');
+  const value = Number(input ? input.value : 0);
+  return Number.isFinite(value) && value > 0 ? dollarsToCents(value) : 0;
+}
+
+function updateEnvelopeAllocation(id, updates) {
+  const env = state.envelopes.find(e => e.id === id);
+  if (!env || isCoreEnvelope(env)) return;
+
+  if (updates.strategy != null && ALLOCATION_STRATEGIES[updates.strategy]) {
+    env.allocation.strategy = updates.strategy;
+  }
+  if (updates.percent != null && Number.isFinite(updates.percent)) {
+    env.allocation.percent = Math.min(100, Math.max(0, updates.percent));
+  }
+  if (updates.priority != null && Number.isInteger(updates.priority)) {
+    env.allocation.priority = updates.priority;
+  }
+  saveState('Edit allocation settings');
+}
+
+function renderAllocationPreview() {
+  const container = document.getElementById('allocation-plan');
+  const totals = document.getElementById('allocation-totals');
+  if (!container || !totals) return;
+
+  const plan = planAllocation(getPreviewPaycheckCents());
+  container.innerHTML = '';
+
+  plan.legs.forEach(({ envelope, requestedCents, amountCents }) => {
+    const row = document.createElement('div');
+    row.className = 'allocation-row';
+
+    const name = document.createElement('strong');
+    name.textContent = envelope.name;
+
+    const strategySelect = document.createElement('select');
+    strategySelect.setAttribute('aria-label', `Strategy for ${envelope.name}`);
+    Object.entries(ALLOCATION_STRATEGIES).forEach(([key, strategy]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = strategy.label;
+      strategySelect.appendChild(opt);
+    });
+    strategySelect.value = envelope.allocation.strategy;
+    strategySelect.addEventListener('change', () => {
+      updateEnvelopeAllocation(envelope.id, { strategy: strategySelect.value });
+      renderAllocationPreview();
+    });
+
+    const setting = document.createElement('span');
+    if (envelope.allocation.strategy === 'percent') {
+      const percentInput = document.createElement('input');
+      percentInput.type = 'number';
+      percentInput.min = '0';
+      percentInput.max = '100';
+      percentInput.step = '0.1';
+      percentInput.value = envelope.allocation.percent;
+      percentInput.setAttribute('aria-label', `Percent of paycheck for ${envelope.name}`);
+      percentInput.addEventListener('change', () => {
+        updateEnvelopeAllocation(envelope.id, { percent: Number(percentInput.value) });
+        renderAllocationPreview();
+      });
+      setting.appendChild(percentInput);
+      setting.appendChild(document.createTextNode('%'));
+    } else {
+      setting.textContent = `target $${centsToDollars(envelope.targetCents)}`;
+    }
+
+    const priorityInput = document.createElement('input');
+    priorityInput.type = 'number';
+    priorityInput.step = '1';
+    priorityInput.value = envelope.allocation.priority;
+    priorityInput.title = 'Priority (lower goes first)';
+    priorityInput.setAttribute('aria-label', `Priority for ${envelope.name}`);
+    priorityInput.addEventListener('change', () => {
+      updateEnvelopeAllocation(envelope.id, { priority: Math.trunc(Number(priorityInput.value) || 0) });
+      renderAllocationPreview();
+    });
+
+    const amount = document.createElement('span');
+    amount.textContent = amountCents === requestedCents
+      ? `→ $${centsToDollars(amountCents)}`
+      : `→ $${centsToDollars(amountCents)} (of $${centsToDollars(requestedCents)})`;
+
+    row.appendChild(name);
+    row.appendChild(strategySelect);
+    row.appendChild(setting);
+    row.appendChild(priorityInput);
+    row.appendChild(amount);
+    container.appendChild(row);
+  });
+
+  const income = getIncomeEnvelope();
+  const incomeAfterCents = (income ? income.balanceCents : 0) - plan.totalCents;
+  totals.textContent =
+    `To envelopes: $${centsToDollars(plan.totalCents - plan.overflowCents)} | ` +
+    `To Overflow: $${centsToDollars(plan.overflowCents)} | ` +
+    `Income after: $${centsToDollars(incomeAfterCents)}` +
+    (incomeAfterCents < 0 ? ' (below zero!)' : '');
+}
+
+function getAllocationBatchLegs(batchId) {
+  return state.transactions.filter(tx => tx.batchId === batchId);
+}
+
+// Undo every leg of an auto-allocation run at once.
+function revertAllocationBatch(batchId) {
+  const batch = state.allocationBatches.find(b => b.id === batchId);
+  if (!batch || batch.revertedAt) return;
+
+  const legs = getAllocationBatchLegs(batchId);
+  if (legs.length !== batch.legs.length) {
+    notifyError(
+      'Part of this allocation has already been archived or deleted, ' +
+      'so it can no longer be reverted as a whole.'
+    );
+    return;
+  }
+
+  legs.forEach(tx => {
+    // Same rule as deleteTransaction: bring back soft-deleted envelopes
+    [tx.fromEnvelopeId, tx.toEnvelopeId].forEach(envId => {
+      const env = envId && state.envelopes.find(e => e.id === envId);
+      if (env && !env.isActive) env.isActive = true;
+    });
+    applyTransactionToBalances(tx, -1);
+  });
+
+  state.transactions = state.transactions.filter(tx => tx.batchId !== batchId);
+  batch.revertedAt = new Date().toISOString();
+
+  saveState('Revert allocation');
+  renderEnvelopes();
+  renderTransactions();
+  renderAllocationHistory();
+}
+
+// ===== Budget periods =====
+
+const PERIOD_FREQUENCIES = {
+  weekly: 'Weekly',
+  biweekly: 'Every two weeks',
+  semimonthly: 'Twice a month (1st & 16th)',
+  monthly: 'Monthly',
+};
+
+// What happens to an envelope's leftover balance when a period closes.
+const ROLLOVER_POLICIES = {
+  carry: 'Carry over',
+  reset: 'Reset to zero (sweep to Overflow)',
+  cap: 'Carry up to a cap (sweep the rest to Overflow)',
+};
+
+// Dates in period settings are local calendar days, stored as "YYYY-MM-DD".
+function parseLocalDate(str) {
+  const [year, month, day] = str.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-` +
+    String(date.getDate()).padStart(2, '0');
+}
+
+function isValidLocalDate(str) {
+  if (typeof str !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(str)) return false;
+  return formatLocalDate(parseLocalDate(str)) === str;
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// The anchor day is clamped so a period starting on the 31st still has one in February.
+function monthlyPeriodStart(year, month, anchorDay) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(anchorDay, lastDay));
+}
+
+// Start of the period containing `date`.
+function getPeriodStart(date, period = state.settings.period) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const anchor = parseLocalDate(period.startDate);
+
+  switch (period.frequency) {
+    case 'weekly':
+    case 'biweekly': {
+      const length = period.frequency === 'weekly' ? 7 : 14;
+      const elapsedDays = Math.round((day - anchor) / 86400000);
+      return addDays(anchor, Math.floor(elapsedDays / length) * length);
+    }
+    case 'semimonthly':
+      return new Date(day.getFullYear(), day.getMonth(), day.getDate() >= 16 ? 16 : 1);
+    default: {
+      const candidate = monthlyPeriodStart(day.getFullYear(), day.getMonth(), anchor.getDate());
+      return candidate <= day
+        ? candidate
+        : monthlyPeriodStart(day.getFullYear(), day.getMonth() - 1, anchor.getDate());
+    }
+  }
+}
+
+// Start of the period after the one starting at `start`.
+function getNextPeriodStart(start, period = state.settings.period) {
+  switch (period.frequency) {
+    case 'weekly':
+      return addDays(start, 7);
+    case 'biweekly':
+      return addDays(start, 14);
+    case 'semimonthly':
+      return start.getDate() === 1
+        ? new Date(start.getFullYear(), start.getMonth(), 16)
+        : new Date(start.getFullYear(), start.getMonth() + 1, 1);
+    default:
+      return monthlyPeriodStart(
+        start.getFullYear(),
+        start.getMonth() + 1,
+        parseLocalDate(period.startDate).getDate()
+      );
+  }
+}
+
+// { start, end } of the period containing `date`; `end` is exclusive.
+function getPeriodBounds(date = new Date(), period = state.settings.period) {
+  const start = getPeriodStart(date, period);
+  return { start, end: getNextPeriodStart(start, period) };
+}
+
+function formatPeriod({ start, end }) {
+  return `${start.toLocaleDateString()} – ${addDays(end, -1).toLocaleDateString()}`;
+}
+
+function isInPeriod(timestamp, { start, end }) {
+  const time = new Date(timestamp);
+  return time >= start && time < end;
+}
+
+// Money moved into an envelope (net of moves back out to other envelopes)
+// and money spent from it, within one period.
+function getEnvelopePeriodActivity(envId, bounds = getPeriodBounds()) {
+  let fundedCents = 0;
+  let spentCents = 0;
+
+  state.transactions.forEach(tx => {
+    if (!isInPeriod(tx.timestamp, bounds)) return;
+    getTransactionDeltas(tx).forEach(([id, delta]) => {
+      if (id !== envId) return;
+      // Card charges move money to the card's envelope, but it is spent.
+      if (delta < 0 && (!tx.toEnvelopeId || tx.kind === 'cardCharge')) spentCents -= delta;
+      else fundedCents += delta;
+    });
+  });
+
+  return { fundedCents, spentCents };
+}
+
+function getTotalFundedThisPeriodCents() {
+  const bounds = getPeriodBounds();
+  return state.envelopes
+    .filter(env => env.isActive && !isCoreEnvelope(env) && !env.isCreditCard)
+    .reduce((sum, env) => sum + getEnvelopePeriodActivity(env.id, bounds).fundedCents, 0);
+}
+
+// Sweeps posted by closeElapsedPeriods start their note with this.
+const PERIOD_CLOSE_NOTE_PREFIX = 'Period close: ';
+
+// A sweep carries that note and is stamped the last millisecond of its period.
+function isPeriodCloseSweep(tx) {
+  return tx.note.startsWith(PERIOD_CLOSE_NOTE_PREFIX) && new Date(tx.timestamp).getMilliseconds() === 999;
+}
+
+// Envelope balance as of `timestamp`: today's balance without anything
+// dated after it (recurring postings and backdated entries included).
+function getEnvelopeBalanceAt(env, timestamp) {
+  return state.transactions
+    .filter(tx => tx.timestamp > timestamp)
+    .reduce((balance, tx) => balance - getTransactionDeltas(tx)
+      .filter(([id]) => id === env.id)
+      .reduce((sum, [, delta]) => sum + delta, 0), env.balanceCents);
+}
+
+// How much of an envelope's balance leaves it when a period closes.
+function getRolloverSweepCents(env, balanceCents = env.balanceCents) {
+  if (balanceCents <= 0) return 0; // overspending always carries over
+  switch (env.rollover.policy) {
+    case 'reset':
+      return balanceCents;
+    case 'cap':
+      return Math.max(0, balanceCents - env.rollover.capCents);
+    default:
+      return 0;
+  }
+}
+
+// Apply rollover rules for every period that has ended since the last close.
+// Sweeps are dated just before the period ends so they land in that period.
+function closeElapsedPeriods(now = new Date()) {
+  const period = state.settings.period;
+  const overflow = getOverflowEnvelope();
+  if (!overflow) return;
+
+  let start = parseLocalDate(period.closedThrough);
+  let next = getNextPeriodStart(start, period);
+  let closed = 0;
+
+  while (next <= now) {
+    const timestamp = new Date(next.getTime() - 1).toISOString();
+    state.envelopes
+      .filter(env => env.isActive && !isCoreEnvelope(env) && !env.isCreditCard)
+      .forEach(env => {
+        const sweepCents = getRolloverSweepCents(env, getEnvelopeBalanceAt(env, timestamp));
+        if (!sweepCents) return;
+        addTransaction({
+          fromEnvelopeId: env.id,
+          toEnvelopeId: overflow.id,
+          amountDollars: sweepCents / 100,
+          note: `${PERIOD_CLOSE_NOTE_PREFIX}${env.rollover.policy === 'reset' ? 'reset' : 'cap'} "${env.name}"`,
+          timestamp,
+        });
+      });
+
+    start = next;
+    next = getNextPeriodStart(start, period);
+    closed++;
+  }
+
+  if (closed) {
+    period.closedThrough = formatLocalDate(start);
+    console.log(`Closed ${closed} budget period(s)`);
+    saveState('Close budget period');
+  }
+}
+
+// Changing the schedule starts fresh from the current period; nothing is
+// closed retroactively.
+function updatePeriodSettings(frequency, startDate) {
+  if (!PERIOD_FREQUENCIES[frequency] || !isValidLocalDate(startDate)) return;
+
+  const period = { frequency, startDate, closedThrough: startDate };
+  period.closedThrough = formatLocalDate(getPeriodStart(new Date(), period));
+  state.settings.period = period;
+
+  saveState('Change budget period');
+  renderAll();
+}
+
+function renderPeriodSettings() {
+  const frequencySelect = document.getElementById('period-frequency');
+  const startInput = document.getElementById('period-start');
+  const currentEl = document.getElementById('period-current');
+  const period = state.settings.period;
+
+  if (frequencySelect) {
+    if (!frequencySelect.options.length) {
+      Object.entries(PERIOD_FREQUENCIES).forEach(([key, label]) => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = label;
+        frequencySelect.appendChild(opt);
+      });
+    }
+    frequencySelect.value = period.frequency;
+  }
+  if (startInput) startInput.value = period.startDate;
+  if (currentEl) currentEl.textContent = formatPeriod(getPeriodBounds());
+}
+
+// ===== Recurring transactions =====
+
+const RECURRING_SCHEDULES = {
+  everyNDays: 'Every N days',
+  monthlyDay: 'Monthly on a day',
+  lastBusinessDay: 'Last business day of the month',
+};
+
+// Scheduled items are dated at local noon so they sort inside their day.
+function localDateToTimestamp(str) {
+  const date = parseLocalDate(str);
+  date.setHours(12);
+  return date.toISOString();
+}
+
+function lastBusinessDayOfMonth(year, month) {
+  let date = new Date(year, month + 1, 0);
+  while (date.getDay() === 0 || date.getDay() === 6) {
+    date = addDays(date, -1);
+  }
+  return date;
+}
+
+// The schedule's date within a given month (monthly schedules only).
+function occurrenceInMonth(schedule, year, month) {
+  return schedule.type === 'lastBusinessDay'
+    ? lastBusinessDayOfMonth(year, month)
+    : monthlyPeriodStart(year, month, schedule.dayOfMonth);
+}
+
+// First due date on or after `fromDate`.
+function getFirstOccurrence(schedule, fromDate) {
+  if (schedule.type === 'everyNDays') return fromDate;
+  const inMonth = occurrenceInMonth(schedule, fromDate.getFullYear(), fromDate.getMonth());
+  return inMonth >= fromDate
+    ? inMonth
+    : occurrenceInMonth(schedule, fromDate.getFullYear(), fromDate.getMonth() + 1);
+}
+
+// Due date following `dueDate`.
+function getNextOccurrence(schedule, dueDate) {
+  if (schedule.type === 'everyNDays') return addDays(dueDate, schedule.intervalDays);
+  return occurrenceInMonth(schedule, dueDate.getFullYear(), dueDate.getMonth() + 1);
+}
+
+function describeSchedule(schedule) {
+  switch (schedule.type) {
+    case 'everyNDays':
+      return `every ${schedule.intervalDays} day(s)`;
+    case 'monthlyDay':
+      return `monthly on day ${schedule.dayOfMonth}`;
+    default:
+      return 'last business day of the month';
+  }
+}
+
+function addRecurring({ fromEnvelopeId, toEnvelopeId, amountDollars, note, schedule, startDate, autoPost }) {
+  const amountCents = dollarsToCents(amountDollars);
+  if (amountCents <= 0 || !isValidLocalDate(startDate)) return null;
+
+  const template = {
+    id: 'rec_' + Date.now() + '_' + Math.random().toString(16).slice(2),
+    fromEnvelopeId: fromEnvelopeId || null,
+    toEnvelopeId: toEnvelopeId || null,
+    amountCents,
+    note: note || '',
+    schedule,
+    nextDueDate: formatLocalDate(getFirstOccurrence(schedule, parseLocalDate(startDate))),
+    autoPost: !!autoPost,
+    isActive: true,
+  };
+  state.recurring.push(template);
+
+  processRecurring();
+  saveState('Add recurring transaction');
+  renderRecurring();
+  return template;
+}
+
+function deleteRecurring(id) {
+  state.recurring = state.recurring.filter(r => r.id !== id);
+  state.upcoming = state.upcoming.filter(item => item.recurringId !== id);
+  saveState('Delete recurring transaction');
+  renderRecurring();
+}
+
+function setRecurringActive(id, isActive) {
+  const template = state.recurring.find(r => r.id === id);
+  if (!template) return;
+  if (isActive && !template.isActive) {
+    // Skip what came due while paused rather than posting it all on resume.
+    // Stepping keeps an every-N-days schedule on its original cadence.
+    const today = formatLocalDate(new Date());
+    while (template.nextDueDate < today) {
+      template.nextDueDate = formatLocalDate(
+        getNextOccurrence(template.schedule, parseLocalDate(template.nextDueDate))
+      );
+    }
+  }
+  template.isActive = isActive;
+  saveState('Pause or resume recurring transaction');
+  renderRecurring();
+}
+
+// Templates can't keep posting into an envelope that was deleted.
+function pauseRecurringForEnvelope(envId) {
+  state.recurring.forEach(r => {
+    if (r.fromEnvelopeId === envId || r.toEnvelopeId === envId) r.isActive = false;
+  });
+}
+
+function postRecurring(template, dueDate) {
+  addTransaction({
+    fromEnvelopeId: template.fromEnvelopeId,
+    toEnvelopeId: template.toEnvelopeId,
+    amountDollars: template.amountCents / 100,
+    note: template.note,
+    timestamp: localDateToTimestamp(dueDate),
+    recurringId: template.id,
+  });
+}
+
+// Post (or queue for confirmation) everything that has come due, catching
+// up on any runs missed while the app was closed.
+function processRecurring(today = new Date()) {
+  const todayStr = formatLocalDate(today);
+  let changed = false;
+
+  state.recurring.filter(r => r.isActive).forEach(template => {
+    while (template.nextDueDate <= todayStr) {
+      if (template.autoPost) {
+        postRecurring(template, template.nextDueDate);
+      } else if (!state.upcoming.some(item =>
+        item.recurringId === template.id && item.dueDate === template.nextDueDate
+      )) {
+        state.upcoming.push({
+          id: 'due_' + template.id + '_' + template.nextDueDate,
+          recurringId: template.id,
+          dueDate: template.nextDueDate,
+        });
+      }
+      template.nextDueDate = formatLocalDate(
+        getNextOccurrence(template.schedule, parseLocalDate(template.nextDueDate))
+      );
+      changed = true;
+    }
+  });
+
+  if (changed) saveState('Post recurring transactions');
+}
+
+function confirmUpcoming(id) {
+  const item = state.upcoming.find(u => u.id === id);
+  if (!item) return;
+  const template = state.recurring.find(r => r.id === item.recurringId);
+
+  state.upcoming = state.upcoming.filter(u => u.id !== id);
+  if (template) postRecurring(template, item.dueDate);
+
+  saveState('Post upcoming transaction');
+  renderRecurring();
+}
+
+function skipUpcoming(id) {
+  state.upcoming = state.upcoming.filter(u => u.id !== id);
+  saveState('Skip upcoming transaction');
+  renderRecurring();
+}
+
+// Every occurrence due in the next `days` days, soonest first.
+function getScheduledOccurrences(days = 30, today = new Date()) {
+  const horizon = formatLocalDate(addDays(today, days));
+  const occurrences = [];
+
+  state.recurring.filter(r => r.isActive).forEach(template => {
+    let due = template.nextDueDate;
+    while (due <= horizon) {
+      occurrences.push({ template, dueDate: due });
+      due = formatLocalDate(getNextOccurrence(template.schedule, parseLocalDate(due)));
+    }
+  });
+
+  return occurrences.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+function describeRecurring(template) {
+  const fromName = template.fromEnvelopeId
+    ? (state.envelopes.find(e => e.id === template.fromEnvelopeId)?.name || '(unknown)')
+    : 'Add to';
+  const toName = template.toEnvelopeId
+    ? (state.envelopes.find(e => e.id === template.toEnvelopeId)?.name || '(unknown)')
+    : 'Spent';
+  return `$${centsToDollars(template.amountCents)} | ${fromName} → ${toName} | ${template.note}`;
+}
+
+function renderRecurring() {
+  const upcomingEl = document.getElementById('upcoming-list');
+  const calendarEl = document.getElementById('recurring-calendar');
+  const templatesEl = document.getElementById('recurring-list');
+
+  if (upcomingEl) {
+    upcomingEl.innerHTML = '';
+    const items = [...state.upcoming].sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    if (items.length === 0) upcomingEl.textContent = 'Nothing waiting for confirmation.';
+
+    items.forEach(item => {
+      const template = state.recurring.find(r => r.id === item.recurringId);
+      const row = document.createElement('div');
+      row.className = 'transaction';
+
+      const postBtn = document.createElement('button');
+      postBtn.textContent = 'Post';
+      postBtn.addEventListener('click', () => confirmUpcoming(item.id));
+
+      const skipBtn = document.createElement('button');
+      skipBtn.textContent = 'Skip';
+      skipBtn.addEventListener('click', () => skipUpcoming(item.id));
+
+      const text = document.createElement('span');
+      text.textContent = `${parseLocalDate(item.dueDate).toLocaleDateString()} | ` +
+        (template ? describeRecurring(template) : '(template deleted)');
+
+      row.appendChild(postBtn);
+      row.appendChild(skipBtn);
+      row.appendChild(text);
+      upcomingEl.appendChild(row);
+    });
+  }
+
+  if (calendarEl) {
+    calendarEl.innerHTML = '';
+    const occurrences = getScheduledOccurrences(30);
+    if (occurrences.length === 0) calendarEl.textContent = 'Nothing scheduled in the next 30 days.';
+
+    occurrences.forEach(({ template, dueDate }) => {
+      const row = document.createElement('div');
+      row.className = 'transaction';
+      row.textContent =
+        `${parseLocalDate(dueDate).toLocaleDateString()} | ${describeRecurring(template)} | ` +
+        (template.autoPost ? 'posts automatically' : 'needs confirmation');
+      calendarEl.appendChild(row);
+    });
+  }
+
+  if (templatesEl) {
+    templatesEl.innerHTML = '';
+    state.recurring.forEach(template => {
+      const row = document.createElement('div');
+      row.className = 'transaction';
+
+      const toggleBtn = document.createElement('button');
+      toggleBtn.textContent = template.isActive ? 'Pause' : 'Resume';
+      toggleBtn.addEventListener('click', () => setRecurringActive(template.id, !template.isActive));
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        if (!(await confirmDialog('Delete this recurring transaction?', { confirmLabel: 'Delete' }))) return;
+        deleteRecurring(template.id);
+      });
+
+      const text = document.createElement('span');
+      text.textContent =
+        `${describeRecurring(template)} | ${describeSchedule(template.schedule)}` +
+        (template.isActive ? ` | next ${parseLocalDate(template.nextDueDate).toLocaleDateString()}` : ' | paused');
+
+      row.appendChild(toggleBtn);
+      row.appendChild(deleteBtn);
+      row.appendChild(text);
+      templatesEl.appendChild(row);
+    });
+  }
+}
+
+// ===== Statement import =====
+
+// Bank export being reviewed: parsed rows plus, for CSV, the raw grid and mapping.
+let pendingStatement = null;
+
+const STATEMENT_DATE_FORMATS = {
+  ymd: 'YYYY-MM-DD',
+  mdy: 'MM/DD/YYYY',
+  dmy: 'DD/MM/YYYY',
+};
+
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// "YYYY-MM-DD" from a bank date string, or null if it can't be read.
+function parseStatementDate(str, format) {
+  const parts = String(str || '').trim().split(/[^0-9]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) return null;
+
+  let [year, month, day] = format === 'ymd'
+    ? parts
+    : format === 'dmy'
+      ? [parts[2], parts[1], parts[0]]
+      : [parts[2], parts[0], parts[1]];
+  if (year < 100) year += 2000;
+
+  const result = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return isValidLocalDate(result) ? result : null;
+}
+
+// Signed cents from a bank amount: "-12.34", "(12.34)", "$1,234.56", "12,34".
+function parseStatementAmount(str) {
+  let s = String(str || '').trim().replace(/[^0-9.,()\-+]/g, '');
+  if (!s) return NaN;
+
+  const negative = s.startsWith('-') || (s.startsWith('(') && s.endsWith(')'));
+  s = s.replace(/[()\-+]/g, '');
+  // "1,234.56", "1.234,56", "12,50", "1,234" and "1.234.567" are all fine.
+  // Anything else with separators, like "1,5" or "1.234" (a thousand, or one
+  // and a bit?), is refused rather than guessed.
+  if (/^[1-9]\d{0,2}\.\d{3}$/.test(s)) {
+    return NaN;
+  } else if (/^\d{1,3}(,\d{3})*\.\d+$/.test(s) || /^\d{1,3}(,\d{3})+$/.test(s)) {
+    s = s.replace(/,/g, '');
+  } else if (/^\d{1,3}(\.\d{3})*,\d{2}$/.test(s) || /^\d+,\d{2}$/.test(s)) {
+    s = s.replace(/\./g, '').replace(',', '.');
+  } else if (/^\d{1,3}(\.\d{3}){2,}$/.test(s)) {
+    s = s.replace(/\./g, '');
+  } else if (!/^\d*\.?\d+$/.test(s)) {
+    return NaN;
+  }
+
+  const value = Number(s);
+  if (!Number.isFinite(value)) return NaN;
+  return (negative ? -1 : 1) * dollarsToCents(value);
+}
+
+function parseOfx(text) {
+  const tag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+  };
+
+  return text.split(/<STMTTRN>/i).slice(1).map(block => {
+    const posted = tag(block, 'DTPOSTED');
+    const name = tag(block, 'NAME');
+    const memo = tag(block, 'MEMO');
+    return {
+      date: parseStatementDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`, 'ymd'),
+      amountCents: parseStatementAmount(tag(block, 'TRNAMT')),
+      description: name || memo,
+      externalId: tag(block, 'FITID') || null,
+    };
+  });
+}
+
+function parseQif(text) {
+  const rows = [];
+  let current = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    const code = line[0];
+    const value = line.slice(1).trim();
+    if (code === '^') {
+      if (current.date || current.amount) {
+        rows.push({
+          // QIF dates look like 10/19/2026, 10/19'26 or 10/19/26
+          date: parseStatementDate(current.date, 'mdy'),
+          amountCents: parseStatementAmount(current.amount),
+          description: current.payee || current.memo || '',
+          externalId: null,
+        });
+      }
+      current = {};
+    } else if (code === 'D') {
+      current.date = value;
+    } else if (code === 'T' || code === 'U') {
+      current.amount = value;
+    } else if (code === 'P') {
+      current.payee = value;
+    } else if (code === 'M') {
+      current.memo = value;
+    }
+  });
+
+  return rows;
+}
+
+// Best guess at which columns hold what, from the header row.
+function guessCsvMapping(header) {
+  const find = pattern => header.findIndex(h => pattern.test(h));
+  const mapping = {
+    hasHeader: header.some(h => /[a-z]/i.test(h) && !/\d/.test(h)),
+    date: find(/date/i),
+    description: find(/desc|payee|name|memo|detail/i),
+    amount: find(/amount/i),
+    debit: find(/debit|withdraw/i),
+    credit: find(/credit|deposit/i),
+    dateFormat: 'mdy',
+    flipSign: false,
+  };
+  if (mapping.date === -1) mapping.date = 0;
+  if (mapping.description === -1) mapping.description = Math.min(1, header.length - 1);
+  if (mapping.amount === -1 && mapping.debit === -1) mapping.amount = header.length - 1;
+  return mapping;
+}
+
+function csvRowsToStatement(grid, mapping) {
+  const body = mapping.hasHeader ? grid.slice(1) : grid;
+  return body.map(cells => {
+    let amountCents;
+    if (mapping.amount >= 0) {
+      amountCents = parseStatementAmount(cells[mapping.amount]);
+    } else {
+      // An empty cell is zero; one that can't be read spoils the row.
+      const readCell = cell => String(cell || '').trim() ? Math.abs(parseStatementAmount(cell)) : 0;
+      amountCents = readCell(cells[mapping.credit]) - readCell(cells[mapping.debit]);
+    }
+    if (mapping.flipSign) amountCents = -amountCents;
+    return {
+      date: parseStatementDate(cells[mapping.date], mapping.dateFormat),
+      amountCents,
+      description: (cells[mapping.description] || '').trim(),
+      externalId: null,
+    };
+  });
+}
+
+function normalizeNote(note) {
+  return String(note || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Existing transaction with the same day, amount and payee/note, if any.
+function findDuplicateTransaction(row) {
+  const amountCents = Math.abs(row.amountCents);
+  const note = normalizeNote(row.description);
+  return state.transactions.find(tx =>
+    formatLocalDate(new Date(tx.timestamp)) === row.date &&
+    tx.amountCents === amountCents &&
+    normalizeNote(tx.payee || tx.note) === note &&
+    Math.sign(getBankEffectCents(tx)) === Math.sign(row.amountCents)
+  ) || null;
+}
+
+// Envelope most often used before for the same payee; money in goes to Income.
+function suggestEnvelopeForRow(row) {
+  if (row.amountCents > 0) {
+    return getIncomeEnvelope()?.id || null;
+  }
+
+  const note = normalizeNote(row.description);
+  const counts = new Map();
+  state.transactions.forEach(tx => {
+    if (tx.toEnvelopeId || !tx.fromEnvelopeId || normalizeNote(tx.payee || tx.note) !== note) return;
+    counts.set(tx.fromEnvelopeId, (counts.get(tx.fromEnvelopeId) || 0) + 1);
+  });
+
+  const best = [...counts.entries()]
+    .filter(([id]) => state.envelopes.some(e => e.id === id && e.isActive))
+    .sort((a, b) => b[1] - a[1])[0];
+  return best ? best[0] : null;
+}
+
+// Turn parsed rows into review rows: duplicates unticked, envelopes taken from
+// a matching payee rule or else suggested from history.
+function prepareStatementRows(parsed) {
+  return parsed.map((row, index) => {
+    const valid = !!row.date && Number.isFinite(row.amountCents) && row.amountCents !== 0;
+    const duplicate = valid ? findDuplicateTransaction(row) : null;
+    const rule = valid
+      ? findMatchingRule({ payee: row.description, note: '', amountCents: row.amountCents })
+      : null;
+    const ruleEnvelopeId = rule && (row.amountCents < 0 ? rule.fromEnvelopeId : rule.toEnvelopeId);
+    return {
+      ...row,
+      index,
+      valid,
+      duplicate,
+      accepted: valid && !duplicate,
+      ruleId: ruleEnvelopeId || (rule && rule.tags.length) ? rule.id : null,
+      tags: rule ? rule.tags : [],
+      envelopeId: valid ? (ruleEnvelopeId || suggestEnvelopeForRow(row)) : null,
+    };
+  });
+}
+
+function loadStatementFile(file) {
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (event) => {
+    const text = event.target.result;
+    const name = file.name.toLowerCase();
+
+    try {
+      if (name.endsWith('.ofx') || name.endsWith('.qfx') || /<OFX>/i.test(text)) {
+        pendingStatement = { format: 'OFX', rows: prepareStatementRows(parseOfx(text)) };
+      } else if (name.endsWith('.qif') || /^!Type:/im.test(text)) {
+        pendingStatement = { format: 'QIF', rows: prepareStatementRows(parseQif(text)) };
+      } else {
+        const grid = parseCsv(text);
+        if (grid.length === 0) throw new Error('The file has no rows.');
+        pendingStatement = { format: 'CSV', grid, mapping: guessCsvMapping(grid[0]), rows: [] };
+        pendingStatement.rows = prepareStatementRows(csvRowsToStatement(grid, pendingStatement.mapping));
+      }
+    } catch (err) {
+      console.error('Failed to read statement:', err);
+      notifyError('Failed to read statement: ' + err.message);
+      return;
+    }
+
+    renderStatementImport();
+    const panel = document.getElementById('statement-panel');
+    if (panel) {
+      panel.hidden = false;
+      panel.scrollIntoView();
+    }
+  };
+  reader.onerror = (err) => {
+    console.error('File read error:', err);
+    notifyError('Error reading file.');
+  };
+
+  reader.readAsText(file);
+}
+
+function closeStatementImport() {
+  pendingStatement = null;
+  const panel = document.getElementById('statement-panel');
+  if (panel) panel.hidden = true;
+}
+
+function updateStatementMapping(updates) {
+  if (!pendingStatement || !pendingStatement.grid) return;
+  Object.assign(pendingStatement.mapping, updates);
+  pendingStatement.rows = prepareStatementRows(
+    csvRowsToStatement(pendingStatement.grid, pendingStatement.mapping)
+  );
+  renderStatementImport();
+}
+
+function renderStatementMapping(container) {
+  const { grid, mapping } = pendingStatement;
+  const columnCount = Math.max(...grid.map(r => r.length));
+  const columnLabel = i => (mapping.hasHeader && grid[0][i] ? grid[0][i] : `Column ${i + 1}`);
+
+  const addSelect = (labelText, value, options, onChange) => {
+    const label = document.createElement('label');
+    label.textContent = labelText + ' ';
+    const select = document.createElement('select');
+    options.forEach(([optValue, optLabel]) => {
+      const opt = document.createElement('option');
+      opt.value = String(optValue);
+      opt.textContent = optLabel;
+      select.appendChild(opt);
+    });
+    select.value = String(value);
+    select.addEventListener('change', () => onChange(select.value));
+    label.appendChild(select);
+    container.appendChild(label);
+  };
+
+  const columns = Array.from({ length: columnCount }, (_, i) => [i, columnLabel(i)]);
+  const optionalColumns = [[-1, '(not used)'], ...columns];
+
+  const headerLabel = document.createElement('label');
+  const headerCheckbox = document.createElement('input');
+  headerCheckbox.type = 'checkbox';
+  headerCheckbox.checked = mapping.hasHeader;
+  headerCheckbox.addEventListener('change', () => updateStatementMapping({ hasHeader: headerCheckbox.checked }));
+  headerLabel.appendChild(headerCheckbox);
+  headerLabel.appendChild(document.createTextNode(' First row is a header '));
+  container.appendChild(headerLabel);
+
+  addSelect('Date:', mapping.date, columns, v => updateStatementMapping({ date: Number(v) }));
+  addSelect('Format:', mapping.dateFormat, Object.entries(STATEMENT_DATE_FORMATS), v => updateStatementMapping({ dateFormat: v }));
+  addSelect('Description:', mapping.description, columns, v => updateStatementMapping({ description: Number(v) }));
+  addSelect('Amount:', mapping.amount, optionalColumns, v => updateStatementMapping({ amount: Number(v) }));
+  addSelect('or Debit:', mapping.debit, optionalColumns, v => updateStatementMapping({ debit: Number(v) }));
+  addSelect('Credit:', mapping.credit, optionalColumns, v => updateStatementMapping({ credit: Number(v) }));
+
+  const flipLabel = document.createElement('label');
+  const flipCheckbox = document.createElement('input');
+  flipCheckbox.type = 'checkbox';
+  flipCheckbox.checked = mapping.flipSign;
+  flipCheckbox.addEventListener('change', () => updateStatementMapping({ flipSign: flipCheckbox.checked }));
+  flipLabel.appendChild(flipCheckbox);
+  flipLabel.appendChild(document.createTextNode(' Spending is shown as positive'));
+  container.appendChild(flipLabel);
+}
+
+function renderStatementImport() {
+  const mappingEl = document.getElementById('statement-mapping');
+  const reviewEl = document.getElementById('statement-review');
+  if (!mappingEl || !reviewEl || !pendingStatement) return;
+
+  mappingEl.innerHTML = '';
+  if (pendingStatement.grid) renderStatementMapping(mappingEl);
+
+  reviewEl.innerHTML = '';
+  const envelopes = state.envelopes.filter(e => e.isActive);
+
+  pendingStatement.rows.forEach(row => {
+    const line = document.createElement('div');
+    line.className = 'statement-row' + (row.duplicate ? ' duplicate' : '');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = row.accepted;
+    checkbox.disabled = !row.valid;
+    checkbox.setAttribute('aria-label', `Import ${row.description}`);
+    checkbox.addEventListener('change', () => { row.accepted = checkbox.checked; });
+
+    const text = document.createElement('span');
+    const amount = Number.isFinite(row.amountCents) ? `$${centsToDollars(row.amountCents)}` : '(no amount)';
+    const showText = () => {
+      text.textContent =
+        `${row.date ? parseLocalDate(row.date).toLocaleDateString() : '(bad date)'} | ${amount} | ${row.description}` +
+        (row.duplicate ? ' | possible duplicate' : '') +
+        (statementRowFollowsRule(row) ? ` | ${getRuleLabel(row.ruleId)}` : '');
+    };
+    showText();
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', `Envelope for ${row.description}`);
+    select.innerHTML = '<option value="">(choose envelope)</option>';
+    envelopes.forEach(env => {
+      const opt = document.createElement('option');
+      opt.value = env.id;
+      opt.textContent = env.name;
+      select.appendChild(opt);
+    });
+    select.value = row.envelopeId || '';
+    select.disabled = !row.valid;
+    select.addEventListener('change', () => {
+      row.envelopeId = select.value || null;
+      showText();
+    });
+
+    line.appendChild(checkbox);
+    line.appendChild(select);
+    line.appendChild(text);
+    reviewEl.appendChild(line);
+  });
+
+  if (pendingStatement.rows.length === 0) {
+    reviewEl.textContent = `No transactions found in this ${pendingStatement.format} file.`;
+  }
+}
+
+// Whether a row still has what its rule filled in. A row only sets the
+// envelope on its own side, so the rule's other side isn't held against it.
+function statementRowFollowsRule(row) {
+  const rule = row.ruleId && state.payeeRules.find(r => r.id === row.ruleId);
+  if (!rule) return false;
+  const spending = row.amountCents < 0;
+  return transactionFollowsRule(rule, {
+    fromEnvelopeId: spending ? row.envelopeId : rule.fromEnvelopeId,
+    toEnvelopeId: spending ? rule.toEnvelopeId : row.envelopeId,
+    tags: row.tags,
+  });
+}
+
+// Post every accepted row; spending comes out of its envelope, deposits go in.
+function postStatementRows(rows, accountId) {
+  let posted = 0;
+  rows.forEach(row => {
+    const tx = addTransaction({
+      fromEnvelopeId: row.amountCents < 0 ? row.envelopeId : null,
+      toEnvelopeId: row.amountCents > 0 ? row.envelopeId : null,
+      amountDollars: Math.abs(row.amountCents) / 100,
+      payee: row.description,
+      tags: row.tags,
+      ruleId: statementRowFollowsRule(row) ? row.ruleId : null,
+      accountId,
+      timestamp: localDateToTimestamp(row.date),
+    });
+    if (tx) posted++;
+  });
+  return posted;
+}
+
+// ===== Payee rules =====
+
+const RULE_FIELDS = {
+  payee: 'Payee',
+  note: 'Note',
+  either: 'Payee or note',
+};
+
+const RULE_MATCHES = {
+  contains: 'contains',
+  regex: 'matches regex',
+};
+
+// New Transaction fields (by element id) the user has set by hand since the
+// form was last cleared. Rules never overwrite them.
+const ruleTouchedFields = new Set();
+
+function parseTags(str) {
+  return String(str || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+}
+
+function describeRule(rule) {
+  const parts = [];
+  if (rule.pattern) {
+    parts.push(`${RULE_FIELDS[rule.field]} ${RULE_MATCHES[rule.match]} "${rule.pattern}"`);
+  }
+  if (rule.minCents != null) parts.push(`amount ≥ $${centsToDollars(rule.minCents)}`);
+  if (rule.maxCents != null) parts.push(`amount ≤ $${centsToDollars(rule.maxCents)}`);
+  return parts.join(' and ') || 'everything';
+}
+
+function ruleTextMatches(rule, text) {
+  if (!rule.pattern) return true;
+  if (rule.match === 'regex') {
+    try {
+      return new RegExp(rule.pattern, 'i').test(text);
+    } catch (err) {
+      return false;
+    }
+  }
+  return text.toLowerCase().includes(rule.pattern.toLowerCase());
+}
+
+function ruleMatches(rule, { payee, note, amountCents }) {
+  const texts = rule.field === 'payee' ? [payee] : rule.field === 'note' ? [note] : [payee, note];
+  if (!texts.some(text => ruleTextMatches(rule, text || ''))) return false;
+
+  const amount = Math.abs(amountCents || 0);
+  if (rule.minCents != null && amount < rule.minCents) return false;
+  if (rule.maxCents != null && amount > rule.maxCents) return false;
+  return true;
+}
+
+// First rule, in list order, that matches; null if none does.
+function findMatchingRule(details) {
+  return state.payeeRules.find(rule => ruleMatches(rule, details)) || null;
+}
+
+function addPayeeRule({ field, match, pattern, minDollars, maxDollars, fromEnvelopeId, toEnvelopeId, tags }) {
+  const rule = {
+    id: 'rule_' + Date.now() + '_' + Math.random().toString(16).slice(2),
+    field,
+    match,
+    pattern: pattern || '',
+    minCents: minDollars != null ? dollarsToCents(minDollars) : null,
+    maxCents: maxDollars != null ? dollarsToCents(maxDollars) : null,
+    fromEnvelopeId: fromEnvelopeId || null,
+    toEnvelopeId: toEnvelopeId || null,
+    tags: tags || [],
+  };
+  state.payeeRules.push(rule);
+  saveState('Add payee rule');
+  renderPayeeRules();
+  return rule;
+}
+
+function deletePayeeRule(id) {
+  state.payeeRules = state.payeeRules.filter(r => r.id !== id);
+  saveState('Delete payee rule');
+  renderPayeeRules();
+}
+
+// Rules are tried top to bottom, so order decides which one wins.
+function movePayeeRuleUp(id) {
+  const index = state.payeeRules.findIndex(r => r.id === id);
+  if (index <= 0) return;
+  const [rule] = state.payeeRules.splice(index, 1);
+  state.payeeRules.splice(index - 1, 0, rule);
+  saveState('Reorder payee rules');
+  renderPayeeRules();
+}
+
+function getRuleLabel(ruleId) {
+  const index = state.payeeRules.findIndex(r => r.id === ruleId);
+  return index === -1 ? null : `Rule ${index + 1}: ${describeRule(state.payeeRules[index])}`;
+}
+
+function renderPayeeRules() {
+  const container = document.getElementById('rules-list');
+  if (!container) return;
+
+  container.innerHTML = '';
+  if (state.payeeRules.length === 0) {
+    container.textContent = 'No rules yet.';
+    return;
+  }
+
+  state.payeeRules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'transaction';
+
+    const upBtn = document.createElement('button');
+    upBtn.textContent = 'Up';
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => movePayeeRuleUp(rule.id));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      if (!(await confirmDialog('Delete this rule?', { confirmLabel: 'Delete' }))) return;
+      deletePayeeRule(rule.id);
+    });
+
+    const envName = id => state.envelopes.find(e => e.id === id)?.name || '(unknown)';
+    const actions = [];
+    if (rule.fromEnvelopeId) actions.push(`from ${envName(rule.fromEnvelopeId)}`);
+    if (rule.toEnvelopeId) actions.push(`to ${envName(rule.toEnvelopeId)}`);
+    if (rule.tags.length) actions.push(`tags ${rule.tags.join(', ')}`);
+    const uses = state.transactions.filter(tx => tx.ruleId === rule.id).length;
+
+    const text = document.createElement('span');
+    text.textContent =
+      `${index + 1}. When ${describeRule(rule)} → ${actions.join(', ') || 'nothing'} ` +
+      `(${uses} transaction(s))`;
+
+    row.appendChild(upBtn);
+    row.appendChild(deleteBtn);
+    row.appendChild(text);
+    container.appendChild(row);
+  });
+}
+
+// First rule matching what is typed in the New Transaction form, if any.
+function findRuleForTransactionForm() {
+  const txPayee = document.getElementById('tx-payee');
+  const txNote = document.getElementById('tx-note');
+  const txAmount = document.getElementById('tx-amount');
+  if (!txPayee || !txNote || !txAmount || !(txPayee.value || txNote.value)) return null;
+
+  return findMatchingRule({
+    payee: txPayee.value,
+    note: txNote.value,
+    amountCents: dollarsToCents(Number(txAmount.value) || 0),
+  });
+}
+
+// Fill the New Transaction form from the first matching rule, and say which.
+// Fields the user picked themselves are left alone.
+function applyRuleToTransactionForm() {
+  const txFrom = document.getElementById('tx-from');
+  const txTo = document.getElementById('tx-to');
+  const txTags = document.getElementById('tx-tags');
+  const status = document.getElementById('tx-rule-status');
+  if (!txFrom || !txTo || !txTags) return null;
+
+  const rule = findRuleForTransactionForm();
+  if (rule) {
+    if (rule.fromEnvelopeId && !ruleTouchedFields.has(txFrom.id)) txFrom.value = rule.fromEnvelopeId;
+    if (rule.toEnvelopeId && !ruleTouchedFields.has(txTo.id)) txTo.value = rule.toEnvelopeId;
+    if (rule.tags.length && !ruleTouchedFields.has(txTags.id)) txTags.value = rule.tags.join(', ');
+  }
+  if (status) status.textContent = rule ? `Rule fired: ${getRuleLabel(rule.id)}` : '';
+  return rule;
+}
+
+// Whether a transaction still has everything the rule would have filled in,
+// so it can be credited to the rule.
+function transactionFollowsRule(rule, { fromEnvelopeId, toEnvelopeId, tags }) {
+  if (rule.fromEnvelopeId && fromEnvelopeId !== rule.fromEnvelopeId) return false;
+  if (rule.toEnvelopeId && toEnvelopeId !== rule.toEnvelopeId) return false;
+  if (rule.tags.length && [...tags].sort().join(',') !== [...rule.tags].sort().join(',')) return false;
+  return true;
+}
+
+// ===== Envelope detail =====
+
+// Envelope shown in the detail panel, if any.
+let detailEnvelopeId = null;
+
+// Every live transaction touching an envelope, oldest first, with the
+// envelope's balance after each one, replayed from its opening balance.
+function getEnvelopeLedger(envId) {
+  const openingCents = state.openingBalances.balances[envId] || 0;
+  let balanceCents = openingCents;
+  const entries = [];
+
+  [...state.transactions]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .forEach(tx => {
+      if (!getTransactionEnvelopeIds(tx).includes(envId)) return;
+      const deltaCents = getTransactionDeltas(tx)
+        .filter(([id]) => id === envId)
+        .reduce((sum, [, delta]) => sum + delta, 0);
+      balanceCents += deltaCents;
+      entries.push({ tx, deltaCents, balanceCents });
+    });
+
+  return { openingCents, entries };
+}
+
+// Small inline SVG line of balances over time, with a zero line when the
+// balance dips below it.
+function renderSparkline(values, width = 240, height = 48) {
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNs, 'svg');
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('class', 'sparkline');
+  svg.setAttribute('role', 'img');
+
+  if (values.length < 2) {
+    svg.setAttribute('aria-label', 'Not enough history for a chart yet');
+    return svg;
+  }
+
+  const min = Math.min(0, ...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const x = i => (i / (values.length - 1)) * (width - 2) + 1;
+  const y = v => height - 1 - ((v - min) / range) * (height - 2);
+
+  if (min < 0) {
+    const zero = document.createElementNS(svgNs, 'line');
+    zero.setAttribute('x1', 0);
+    zero.setAttribute('x2', width);
+    zero.setAttribute('y1', y(0));
+    zero.setAttribute('y2', y(0));
+    zero.setAttribute('class', 'sparkline-zero');
+    svg.appendChild(zero);
+  }
+
+  const line = document.createElementNS(svgNs, 'polyline');
+  line.setAttribute('points', values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' '));
+  line.setAttribute('fill', 'none');
+  line.setAttribute('class', 'sparkline-line');
+  svg.appendChild(line);
+
+  svg.setAttribute(
+    'aria-label',
+    `Balance from $${centsToDollars(values[0])} to $${centsToDollars(values[values.length - 1])}`
+  );
+  return svg;
+}
+
+function openEnvelopeDetail(envId) {
+  detailEnvelopeId = envId;
+  renderEnvelopeDetail();
+  const panel = document.getElementById('envelope-panel');
+  if (panel) {
+    panel.hidden = false;
+    panel.scrollIntoView();
+  }
+}
+
+function closeEnvelopeDetail() {
+  detailEnvelopeId = null;
+  const panel = document.getElementById('envelope-panel');
+  if (panel) panel.hidden = true;
+}
+
+function renderEnvelopeDetail() {
+  const panel = document.getElementById('envelope-panel');
+  if (!panel || !detailEnvelopeId) return;
+
+  const env = state.envelopes.find(e => e.id === detailEnvelopeId);
+  if (!env || !env.isActive) {
+    closeEnvelopeDetail();
+    return;
+  }
+
+  const title = document.getElementById('envelope-panel-title');
+  const summary = document.getElementById('envelope-summary');
+  const chart = document.getElementById('envelope-sparkline');
+  const ledger = document.getElementById('envelope-ledger');
+  const target = document.getElementById('envelope-action-target');
+
+  if (title) title.textContent = env.name;
+
+  const bounds = getPeriodBounds();
+  const { fundedCents, spentCents } = getEnvelopePeriodActivity(env.id, bounds);
+  if (summary) {
+    summary.innerHTML = '';
+    [
+      `Balance: $${centsToDollars(env.balanceCents)}`,
+      `Target: ${env.targetCents ? '$' + centsToDollars(env.targetCents) : 'none'} per period`,
+      `This period (${formatPeriod(bounds)}): funded $${centsToDollars(fundedCents)}, ` +
+        `spent $${centsToDollars(spentCents)}`,
+    ].forEach(text => {
+      const line = document.createElement('div');
+      line.textContent = text;
+      summary.appendChild(line);
+    });
+  }
+
+  const { openingCents, entries } = getEnvelopeLedger(env.id);
+
+  if (chart) {
+    chart.innerHTML = '';
+    chart.appendChild(renderSparkline([openingCents, ...entries.map(e => e.balanceCents)]));
+  }
+
+  if (ledger) {
+    ledger.innerHTML = '';
+    [...entries].reverse().forEach(({ tx, deltaCents, balanceCents }) => {
+      const row = document.createElement('div');
+      row.className = 'transaction';
+      row.textContent =
+        `${formatTransactionText(tx)} | ${deltaCents >= 0 ? '+' : ''}${centsToDollars(deltaCents)} ` +
+        `→ $${centsToDollars(balanceCents)}`;
+      ledger.appendChild(row);
+    });
+    const opening = document.createElement('div');
+    opening.className = 'transaction';
+    opening.textContent = `Opening balance: $${centsToDollars(openingCents)}`;
+    ledger.appendChild(opening);
+  }
+
+  // "Move to" choices: every other active envelope
+  if (target) {
+    const selected = target.value;
+    target.innerHTML = '';
+    state.envelopes
+      .filter(e => e.isActive && e.id !== env.id)
+      .forEach(other => {
+        const opt = document.createElement('option');
+        opt.value = other.id;
+        opt.textContent = other.name;
+        target.appendChild(opt);
+      });
+    if ([...target.options].some(opt => opt.value === selected)) target.value = selected;
+  }
+}
+
+// Quick actions from the detail panel; each returns the transaction or null.
+function runEnvelopeQuickAction(action, amountDollars, note, targetId) {
+  const env = state.envelopes.find(e => e.id === detailEnvelopeId);
+  if (!env) return null;
+
+  if (action === 'fund') {
+    const income = getIncomeEnvelope();
+    if (!income) return null;
+    return addTransaction({ fromEnvelopeId: income.id, toEnvelopeId: env.id, amountDollars, note: note || 'Funded' });
+  }
+  if (action === 'move') {
+    return addTransaction({ fromEnvelopeId: env.id, toEnvelopeId: targetId, amountDollars, note });
+  }
+  if (action === 'spend') {
+    return addTransaction({ fromEnvelopeId: env.id, toEnvelopeId: null, amountDollars, note });
+  }
+  return null;
+}
+
+// ===== Reports =====
+
+const CHART_COLORS = ['#2a6', '#36c', '#c63', '#a3a', '#cc3', '#3aa', '#c36', '#777'];
+
+// Live and archived transactions, with a name for every envelope they touch.
+function getReportData() {
+  const archive = loadArchive();
+  const names = {};
+  const transactions = [];
+  (archive ? archive.months : []).forEach(month => {
+    Object.assign(names, month.envelopeNames);
+    transactions.push(...month.transactions);
+  });
+  state.envelopes.forEach(env => { names[env.id] = env.name; });
+  transactions.push(...state.transactions);
+  return { transactions, names };
+}
+
+// The last `count` calendar months as "YYYY-MM", oldest first.
+function getReportMonths(count) {
+  const now = new Date();
+  const months = [];
+  for (let i = count - 1; i >= 0; i--) {
+    months.push(monthKeyOf(new Date(now.getFullYear(), now.getMonth() - i, 1)));
+  }
+  return months;
+}
+
+// Money a transaction spends, per envelope. Card charges count as spending
+// from the envelope they came out of; card payments don't count again.
+function getSpendingLines(tx, cardIds) {
+  if (tx.kind !== 'cardCharge' && getBankEffectCents(tx) >= 0) return [];
+  return getTransactionDeltas(tx)
+    .filter(([id, delta]) => delta < 0 && !cardIds.has(id))
+    .map(([id, delta]) => [id, -delta]);
+}
+
+function buildSpendingReport(monthCount) {
+  const months = getReportMonths(monthCount);
+  const { transactions, names } = getReportData();
+  const cardIds = new Set(state.envelopes.filter(e => e.isCreditCard).map(e => e.id));
+  const byEnvelope = new Map();
+
+  transactions.forEach(tx => {
+    const monthIndex = months.indexOf(monthKeyOf(new Date(tx.timestamp)));
+    if (monthIndex === -1) return;
+    getSpendingLines(tx, cardIds).forEach(([id, cents]) => {
+      if (!byEnvelope.has(id)) byEnvelope.set(id, months.map(() => 0));
+      byEnvelope.get(id)[monthIndex] += cents;
+    });
+  });
+
+  const series = [...byEnvelope.entries()]
+    .map(([id, values]) => ({ name: names[id] || '(unknown)', values }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    columns: ['Envelope', ...months],
+    rows: series.map(s => [s.name, ...s.values]),
+    moneyColumns: months.map((_, i) => i + 1),
+    chart: () => renderBarChart(months, series, true),
+  };
+}
+
+function buildCashFlowReport(monthCount) {
+  const months = getReportMonths(monthCount);
+  const { transactions } = getReportData();
+  const incoming = months.map(() => 0);
+  const outgoing = months.map(() => 0);
+
+  transactions.forEach(tx => {
+    const monthIndex = months.indexOf(monthKeyOf(new Date(tx.timestamp)));
+    if (monthIndex === -1) return;
+    const effectCents = getBankEffectCents(tx);
+    if (effectCents > 0) incoming[monthIndex] += effectCents;
+    else outgoing[monthIndex] -= effectCents;
+  });
+
+  const series = [
+    { name: 'Income', values: incoming },
+    { name: 'Outflow', values: outgoing },
+  ];
+
+  return {
+    columns: ['Month', 'Income', 'Outflow', 'Net'],
+    rows: months.map((month, i) => [
+      month,
+      incoming[i],
+      outgoing[i],
+      incoming[i] - outgoing[i],
+    ]),
+    moneyColumns: [1, 2, 3],
+    chart: () => renderBarChart(months, series, false),
+  };
+}
+
+// This period only: target, what went in, what went out.
+function buildTargetReport() {
+  const bounds = getPeriodBounds();
+  const envelopes = state.envelopes.filter(e => e.isActive && !isCoreEnvelope(e) && !e.isCreditCard);
+  const activity = envelopes.map(env => ({ env, ...getEnvelopePeriodActivity(env.id, bounds) }));
+
+  return {
+    columns: ['Envelope', 'Target', 'Funded', 'Spent', 'Funded - Target', 'Balance'],
+    rows: activity.map(({ env, fundedCents, spentCents }) => [
+      env.name,
+      env.targetCents,
+      fundedCents,
+      spentCents,
+      fundedCents - env.targetCents,
+      env.balanceCents,
+    ]),
+    moneyColumns: [1, 2, 3, 4, 5],
+    chart: () => renderBarChart(
+      envelopes.map(env => env.name),
+      [
+        { name: 'Target', values: envelopes.map(env => env.targetCents) },
+        { name: 'Spent', values: activity.map(a => a.spentCents) },
+      ],
+      false
+    ),
+    caption: `Period ${formatPeriod(bounds)}`,
+  };
+}
+
+function buildTopPayeesReport(monthCount) {
+  const months = getReportMonths(monthCount);
+  const { transactions } = getReportData();
+  const cardIds = new Set(state.envelopes.filter(e => e.isCreditCard).map(e => e.id));
+  const totals = new Map();
+
+  transactions.forEach(tx => {
+    if (!months.includes(monthKeyOf(new Date(tx.timestamp)))) return;
+    const spentCents = getSpendingLines(tx, cardIds).reduce((sum, [, cents]) => sum + cents, 0);
+    if (!spentCents) return;
+    const key = (tx.payee || tx.note || '').trim() || '(no payee or note)';
+    const entry = totals.get(key) || { cents: 0, count: 0 };
+    entry.cents += spentCents;
+    entry.count += 1;
+    totals.set(key, entry);
+  });
+
+  const top = [...totals.entries()]
+    .sort((a, b) => b[1].cents - a[1].cents)
+    .slice(0, 15);
+
+  return {
+    columns: ['Payee or note', 'Spent', 'Transactions'],
+    rows: top.map(([name, { cents, count }]) => [name, cents, count]),
+    moneyColumns: [1],
+    chart: () => renderBarChart(
+      top.map(([name]) => name),
+      [{ name: 'Spent', values: top.map(([, { cents }]) => cents) }],
+      false
+    ),
+  };
+}
+
+const REPORTS = {
+  spending: { label: 'Spending by envelope per month', build: buildSpendingReport },
+  cashflow: { label: 'Income vs. outflow', build: buildCashFlowReport },
+  targets: { label: 'Target vs. actual (this period)', build: buildTargetReport },
+  payees: { label: 'Top payees and notes', build: buildTopPayeesReport },
+};
+
+function svgElement(tag, attrs = {}) {
+  const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+  return el;
+}
+
+// Bar chart with one group per label, either stacked or side by side, plus a
+// legend. Values are cents.
+function renderBarChart(labels, series, stacked) {
+  const width = 640;
+  const height = 240;
+  const pad = { top: 10, right: 10, bottom: 50, left: 60 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const svg = svgElement('svg', {
+    viewBox: `0 0 ${width} ${height + 20 * Math.ceil(series.length / 4)}`,
+    class: 'report-chart',
+    role: 'img',
+  });
+
+  if (labels.length === 0 || series.length === 0) {
+    svg.setAttribute('aria-label', 'No data for this report');
+    const text = svgElement('text', { x: width / 2, y: height / 2, 'text-anchor': 'middle' });
+    text.textContent = 'No data';
+    svg.appendChild(text);
+    return svg;
+  }
+
+  const groupTotals = labels.map((_, i) => stacked
+    ? series.reduce((sum, s) => sum + Math.max(0, s.values[i]), 0)
+    : Math.max(...series.map(s => s.values[i])));
+  const max = Math.max(1, ...groupTotals);
+  const y = cents => pad.top + plotHeight - (cents / max) * plotHeight;
+
+  // Axis with the top value
+  svg.appendChild(svgElement('line', {
+    x1: pad.left, x2: pad.left + plotWidth, y1: pad.top + plotHeight, y2: pad.top + plotHeight, class: 'report-axis',
+  }));
+  [0, max].forEach(value => {
+    const tick = svgElement('text', { x: pad.left - 4, y: y(value) + 4, 'text-anchor': 'end', class: 'report-label' });
+    tick.textContent = '$' + centsToDollars(value);
+    svg.appendChild(tick);
+  });
+
+  const groupWidth = plotWidth / labels.length;
+  const barWidth = stacked ? groupWidth * 0.7 : (groupWidth * 0.8) / series.length;
+
+  labels.forEach((label, i) => {
+    const groupX = pad.left + i * groupWidth;
+    let stackTop = pad.top + plotHeight;
+
+    series.forEach((s, j) => {
+      const value = Math.max(0, s.values[i]);
+      const barHeight = (value / max) * plotHeight;
+      const x = stacked ? groupX + groupWidth * 0.15 : groupX + groupWidth * 0.1 + j * barWidth;
+      const top = stacked ? stackTop - barHeight : pad.top + plotHeight - barHeight;
+      if (stacked) stackTop = top;
+
+      const rect = svgElement('rect', {
+        x: x.toFixed(1),
+        y: top.toFixed(1),
+        width: Math.max(1, barWidth - 1).toFixed(1),
+        height: barHeight.toFixed(1),
+        fill: CHART_COLORS[j % CHART_COLORS.length],
+      });
+      const title = svgElement('title');
+      title.textContent = `${label} · ${s.name}: $${centsToDollars(s.values[i])}`;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+    });
+
+    const text = svgElement('text', {
+      x: (groupX + groupWidth / 2).toFixed(1),
+      y: pad.top + plotHeight + 14,
+      'text-anchor': 'middle',
+      class: 'report-label',
+    });
+    text.textContent = label.length > 12 ? label.slice(0, 11) + '…' : label;
+    svg.appendChild(text);
+  });
+
+  // Legend, four entries per row
+  series.forEach((s, j) => {
+    const x = pad.left + (j % 4) * 150;
+    const legendY = height + Math.floor(j / 4) * 20 - 10;
+    svg.appendChild(svgElement('rect', {
+      x, y: legendY - 9, width: 10, height: 10, fill: CHART_COLORS[j % CHART_COLORS.length],
+    }));
+    const text = svgElement('text', { x: x + 14, y: legendY, class: 'report-label' });
+    text.textContent = s.name;
+    svg.appendChild(text);
+  });
+
+  svg.setAttribute('aria-label', `Bar chart of ${series.map(s => s.name).join(', ')}`);
+  return svg;
+}
+
+function getSelectedReport() {
+  const kindSelect = document.getElementById('report-kind');
+  const monthsInput = document.getElementById('report-months');
+  const key = kindSelect && REPORTS[kindSelect.value] ? kindSelect.value : 'spending';
+  const months = Math.min(36, Math.max(1, parseInt(monthsInput?.value, 10) || 6));
+  return { key, report: REPORTS[key].build(months) };
+}
+
+// Report rows keep money as cents; the table shows it grouped, the CSV as
+// plain decimals a spreadsheet reads as numbers.
+function formatReportRows(report, formatCents) {
+  return report.rows.map(row =>
+    row.map((value, i) => report.moneyColumns.includes(i) ? formatCents(value) : value)
+  );
+}
+
+function exportReport() {
+  const { key, report } = getSelectedReport();
+  const rows = formatReportRows(report, cents => (cents / 100).toFixed(2));
+  downloadFile(`budget-report-${key}-${fileTimestamp()}.csv`, toCsv([report.columns, ...rows]), 'text/csv');
+}
+
+// Reports are only worked out while the Reports section is open.
+function renderReports() {
+  const section = document.getElementById('reports-section');
+  const chart = document.getElementById('report-chart');
+  const table = document.getElementById('report-table');
+  if (!section || !section.open || !chart || !table) return;
+
+  const { report } = getSelectedReport();
+
+  chart.innerHTML = '';
+  chart.appendChild(report.chart());
+
+  table.innerHTML = '';
+  if (report.caption) {
+    const caption = document.createElement('caption');
+    caption.textContent = report.caption;
+    table.appendChild(caption);
+  }
+  const head = document.createElement('tr');
+  report.columns.forEach(col => {
+    const th = document.createElement('th');
+    th.textContent = col;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+  formatReportRows(report, centsToDollars).forEach(row => {
+    const tr = document.createElement('tr');
+    row.forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+}
+
+// ===== Transaction filters =====
+
+const TRANSACTION_PAGE_SIZE = 50;
+
+const TRANSACTION_TYPES = {
+  income: 'Income',
+  spend: 'Spend',
+  transfer: 'Transfer',
+};
+
+// Filter values as typed (strings), plus the page being shown. Mirrored in
+// the URL hash so a filtered view can be bookmarked.
+const TRANSACTION_FILTER_KEYS = ['from', 'to', 'days', 'envelope', 'min', 'max', 'q', 'type'];
+
+let transactionFilters = emptyTransactionFilters();
+
+function emptyTransactionFilters() {
+  const filters = { page: 0 };
+  TRANSACTION_FILTER_KEYS.forEach(key => { filters[key] = ''; });
+  return filters;
+}
+
+function readTransactionFiltersFromHash() {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  const filters = emptyTransactionFilters();
+  TRANSACTION_FILTER_KEYS.forEach(key => { filters[key] = params.get(key) || ''; });
+  filters.page = Math.max(0, (parseInt(params.get('page'), 10) || 1) - 1);
+  return filters;
+}
+
+function writeTransactionFiltersToHash() {
+  const params = new URLSearchParams();
+  TRANSACTION_FILTER_KEYS.forEach(key => {
+    if (transactionFilters[key]) params.set(key, transactionFilters[key]);
+  });
+  if (transactionFilters.page > 0) params.set('page', String(transactionFilters.page + 1));
+  const hash = params.toString();
+  // replaceState so typing in a filter doesn't flood the back button
+  history.replaceState(null, '', hash ? '#' + hash : window.location.pathname + window.location.search);
+}
+
+function setTransactionFilters(changes) {
+  transactionFilters = { ...transactionFilters, page: 0, ...changes };
+  writeTransactionFiltersToHash();
+  renderTransactions();
+}
+
+// Income brings money into the budget, spend takes it out, and transfers
+// only move it between envelopes or accounts.
+function getTransactionType(tx) {
+  const effectCents = getBankEffectCents(tx);
+  if (effectCents > 0) return 'income';
+  if (effectCents < 0) return 'spend';
+  return 'transfer';
+}
+
+function transactionMatchesFilters(tx, filters) {
+  const date = formatLocalDate(new Date(tx.timestamp));
+  if (filters.from && date < filters.from) return false;
+  if (filters.to && date > filters.to) return false;
+  if (filters.days) {
+    const since = formatLocalDate(addDays(new Date(), -(Number(filters.days) - 1)));
+    if (date < since) return false;
+  }
+  if (filters.envelope && !getTransactionEnvelopeIds(tx).includes(filters.envelope)) return false;
+  if (filters.min !== '' && tx.amountCents < dollarsToCents(Number(filters.min))) return false;
+  if (filters.max !== '' && tx.amountCents > dollarsToCents(Number(filters.max))) return false;
+  if (filters.type && getTransactionType(tx) !== filters.type) return false;
+  if (filters.q) {
+    const text = [tx.note, tx.payee, ...tx.tags].join(' ').toLowerCase();
+    if (!text.includes(filters.q.toLowerCase())) return false;
+  }
+  return true;
+}
+
+// Newest first.
+function getFilteredTransactions(filters = transactionFilters) {
+  return state.transactions
+    .filter(tx => transactionMatchesFilters(tx, filters))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+function getTransactionTotals(txs, envelopeId) {
+  const totals = { count: txs.length, inCents: 0, outCents: 0, envelopeCents: 0 };
+  txs.forEach(tx => {
+    const effectCents = getBankEffectCents(tx);
+    if (effectCents > 0) totals.inCents += effectCents;
+    else totals.outCents -= effectCents;
+    if (envelopeId) {
+      getTransactionDeltas(tx).forEach(([id, delta]) => {
+        if (id === envelopeId) totals.envelopeCents += delta;
+      });
+    }
+  });
+  return totals;
+}
+
+// Keep the filter inputs in step with transactionFilters and the envelopes.
+function renderTransactionFilterControls() {
+  const envelopeSelect = document.getElementById('filter-envelope');
+  if (envelopeSelect) {
+    envelopeSelect.innerHTML = '<option value="">(any envelope)</option>';
+    state.envelopes
+      .filter(e => e.isActive || e.id === transactionFilters.envelope)
+      .forEach(env => {
+        const opt = document.createElement('option');
+        opt.value = env.id;
+        opt.textContent = env.name;
+        envelopeSelect.appendChild(opt);
+      });
+    envelopeSelect.value = transactionFilters.envelope;
+  }
+
+  const typeSelect = document.getElementById('filter-type');
+  if (typeSelect && typeSelect.options.length === 0) {
+    typeSelect.innerHTML = '<option value="">(any type)</option>';
+    Object.entries(TRANSACTION_TYPES).forEach(([key, label]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = label;
+      typeSelect.appendChild(opt);
+    });
+  }
+
+  TRANSACTION_FILTER_KEYS.forEach(key => {
+    const input = document.getElementById('filter-' + key);
+    if (input && document.activeElement !== input) input.value = transactionFilters[key];
+  });
+}
+
+function renderTransactionTotals(txs) {
+  const container = document.getElementById('transactions-totals');
+  if (!container) return;
+
+  const envelopeId = transactionFilters.envelope;
+  const totals = getTransactionTotals(txs, envelopeId);
+  const parts = [
+    `${totals.count} transaction(s)`,
+    `In: $${centsToDollars(totals.inCents)}`,
+    `Out: $${centsToDollars(totals.outCents)}`,
+    `Net: $${centsToDollars(totals.inCents - totals.outCents)}`,
+  ];
+  if (envelopeId) {
+    const name = state.envelopes.find(e => e.id === envelopeId)?.name || '(unknown)';
+    parts.push(`${name} change: $${centsToDollars(totals.envelopeCents)}`);
+  }
+  container.textContent = parts.join(' | ');
+}
+
+function renderTransactionPager(pageCount) {
+  const container = document.getElementById('transactions-pager');
+  if (!container) return;
+
+  container.innerHTML = '';
+  if (pageCount <= 1) return;
+
+  const prevBtn = document.createElement('button');
+  prevBtn.textContent = 'Newer';
+  prevBtn.disabled = transactionFilters.page === 0;
+  prevBtn.addEventListener('click', () => setTransactionFilters({ page: transactionFilters.page - 1 }));
+
+  const label = document.createElement('span');
+  label.textContent = ` Page ${transactionFilters.page + 1} of ${pageCount} `;
+
+  const nextBtn = document.createElement('button');
+  nextBtn.textContent = 'Older';
+  nextBtn.disabled = transactionFilters.page >= pageCount - 1;
+  nextBtn.addEventListener('click', () => setTransactionFilters({ page: transactionFilters.page + 1 }));
+
+  container.appendChild(prevBtn);
+  container.appendChild(label);
+  container.appendChild(nextBtn);
+}
+
+// ===== Forms, dialogs and notifications =====
+
+// Parse what someone typed as a dollar amount: "12", "12.5", "$1,200.00".
+// Returns null for anything else so typos never turn into $0.
+function parseMoneyInput(text) {
+  const cleaned = String(text ?? '').trim().replace(/^\$/, '').replace(/,/g, '');
+  if (!/^-?(\d+(\.\d{0,2})?|\.\d{1,2})$/.test(cleaned)) return null;
+  return Number(cleaned);
+}
+
+let formCounter = 0;
+
+// Build a labelled form with per-field validation. Fields look like
+//   { name, label, type: 'text' | 'password' | 'money' | 'date' | 'select', value,
+//     options: [{ value, label }], required, positive, allowNegative, max, hint,
+//     showWhen(values) }
+// Money fields come back as dollars (or null when blank), the rest as strings.
+// `validate(values)` may return a message for the whole form or
+// { fieldName: message } for single fields.
+function createForm({ fields, submitLabel = 'Save', cancelLabel = 'Cancel', validate, onSubmit, onCancel }) {
+  const form = document.createElement('form');
+  form.className = 'app-form';
+  form.noValidate = true;
+  const prefix = `form-${++formCounter}`;
+
+  const rows = fields.map(field => {
+    const id = `${prefix}-${field.name}`;
+    const row = document.createElement('div');
+    row.className = 'form-field';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = field.label;
+
+    let input;
+    if (field.type === 'select') {
+      input = document.createElement('select');
+      field.options.forEach(option => {
+        const opt = document.createElement('option');
+        opt.value = option.value;
+        opt.textContent = option.label;
+        input.appendChild(opt);
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = field.type === 'date' || field.type === 'password' ? field.type : 'text';
+      if (field.type === 'money') input.inputMode = 'decimal';
+      if (field.max) input.max = field.max;
+    }
+    input.id = id;
+    input.name = field.name;
+    if (field.value != null) input.value = field.value;
+    if (field.required) input.setAttribute('aria-required', 'true');
+
+    const describedBy = [];
+    row.append(label, input);
+    if (field.hint) {
+      const hint = document.createElement('div');
+      hint.className = 'form-hint';
+      hint.id = `${id}-hint`;
+      hint.textContent = field.hint;
+      row.appendChild(hint);
+      describedBy.push(hint.id);
+    }
+    const error = document.createElement('div');
+    error.className = 'form-error';
+    error.id = `${id}-error`;
+    row.appendChild(error);
+    describedBy.push(error.id);
+    input.setAttribute('aria-describedby', describedBy.join(' '));
+
+    form.appendChild(row);
+    return { field, row, input, error };
+  });
+
+  const formError = document.createElement('div');
+  formError.className = 'form-error';
+  formError.setAttribute('role', 'alert');
+
+  const buttons = document.createElement('div');
+  buttons.className = 'form-buttons';
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'submit';
+  submitBtn.textContent = submitLabel;
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.textContent = cancelLabel;
+  cancelBtn.addEventListener('click', () => onCancel && onCancel());
+  buttons.append(submitBtn, cancelBtn);
+  form.append(formError, buttons);
+
+  const readValues = () => {
+    const values = {};
+    rows.forEach(({ field, input }) => {
+      const raw = input.value.trim();
+      values[field.name] = field.type === 'money' ? (raw === '' ? null : parseMoneyInput(raw)) : raw;
+    });
+    return values;
+  };
+
+  const updateVisibility = () => {
+    const values = readValues();
+    rows.forEach(({ field, row }) => {
+      if (field.showWhen) row.hidden = !field.showWhen(values);
+    });
+  };
+  form.addEventListener('change', updateVisibility);
+  updateVisibility();
+
+  const fieldProblem = (field, raw, value) => {
+    if (raw === '') return field.required ? `${field.label} is required.` : null;
+    if (field.type === 'money') {
+      if (value === null) return 'Enter an amount in dollars, like 12.50.';
+      if (field.positive && value <= 0) return 'Enter an amount greater than $0.';
+      if (value < 0 && !field.allowNegative) return 'The amount cannot be negative.';
+    }
+    if (field.type === 'date') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) return 'Enter a valid date.';
+      if (field.max && raw > field.max) return 'Enter a date that is today or earlier.';
+    }
+    return null;
+  };
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const values = readValues();
+    const errors = {};
+    rows.forEach(({ field, row, input }) => {
+      if (row.hidden) return;
+      const problem = fieldProblem(field, input.value.trim(), values[field.name]);
+      if (problem) errors[field.name] = problem;
+    });
+
+    let formProblem = null;
+    if (Object.keys(errors).length === 0 && validate) {
+      const result = validate(values);
+      if (typeof result === 'string') formProblem = result;
+      else if (result) Object.assign(errors, result);
+    }
+
+    let firstInvalid = null;
+    rows.forEach(({ field, input, error }) => {
+      const message = errors[field.name] || '';
+      error.textContent = message;
+      input.setAttribute('aria-invalid', message ? 'true' : 'false');
+      if (message && !firstInvalid) firstInvalid = input;
+    });
+    formError.textContent = formProblem || '';
 
-  const tx = state.transactions[index];
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return;
+    }
+    if (formProblem) return;
+    onSubmit(values);
+  });
 
-  // Reactivate any inactive envelopes referenced by this transaction.
-  // This fixes the case where a deleted envelope was auto-merged into Income,
-  // and then the user deletes the auto-merge transaction:
-  // the original envelope becomes active again with its balance restored.
-  [tx.fromEnvelopeId, tx.toEnvelopeId].forEach(envId => {
-    if (!envId) return;
-    const env = state.envelopes.find(e => e.id === envId);
-    if (env && !env.isActive) {
-      env.isActive = true;
+  form.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && onCancel) {
+      event.stopPropagation();
+      onCancel();
     }
   });
 
-  // Roll back balances
-  applyTransactionToBalances(tx, -1);
+  return form;
+}
 
-  // Remove transaction
-  state.transactions.splice(index, 1);
+// Dialogs queue up so a second one never covers the first.
+let dialogQueue = Promise.resolve();
+
+// Show the shared modal. `build({ body, close })` fills it in; Escape or
+// clicking outside closes it with `cancelValue`. Focus stays inside while it
+// is open and goes back where it was afterwards.
+function showDialog(titleText, cancelValue, build) {
+  const shown = dialogQueue.then(() => new Promise(resolve => {
+    const overlay = document.getElementById('dialog-overlay');
+    const dialog = document.getElementById('dialog');
+    const title = document.getElementById('dialog-title');
+    const body = document.getElementById('dialog-body');
+    const previousFocus = document.activeElement;
+
+    const focusable = () => [...dialog.querySelectorAll('button, input, select, textarea, [tabindex]:not([tabindex="-1"])')]
+      .filter(el => !el.disabled && !el.closest('[hidden]'));
+
+    const onKeydown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        close(cancelValue);
+      } else if (event.key === 'Tab') {
+        const items = focusable();
+        if (items.length === 0) return;
+        const first = items[0];
+        const last = items[items.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+      }
+    };
+    const onOverlayClick = (event) => {
+      if (event.target === overlay) close(cancelValue);
+    };
 
-  saveState();
-  renderEnvelopes();
-  renderTransactions();
-}
+    function close(value) {
+      overlay.hidden = true;
+      body.innerHTML = '';
+      dialog.removeEventListener('keydown', onKeydown);
+      overlay.removeEventListener('click', onOverlayClick);
+      if (previousFocus && previousFocus.focus) previousFocus.focus();
+      resolve(value);
+    }
 
+    title.textContent = titleText;
+    body.innerHTML = '';
+    build({ body, close });
+    dialog.addEventListener('keydown', onKeydown);
+    overlay.addEventListener('click', onOverlayClick);
+    overlay.hidden = false;
 
-function pruneOldTransactions() {
-  const days = state.settings?.transactionRetentionDays || 45; // you can set to 30 if you prefer
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - days);
-  const cutoffISO = cutoff.toISOString();
+    const [first] = focusable();
+    if (first) first.focus();
+  }));
 
-  const beforeCount = state.transactions.length;
+  dialogQueue = shown.then(() => {}, () => {});
+  return shown;
+}
 
-  state.transactions = state.transactions.filter(tx => {
-    // ISO 8601 strings compare lexicographically by time, so this works
-    return tx.timestamp >= cutoffISO;
+// Ask a yes/no question. Resolves to true or false.
+function confirmDialog(message, { title = 'Please confirm', confirmLabel = 'OK', cancelLabel = 'Cancel' } = {}) {
+  return showDialog(title, false, ({ body, close }) => {
+    const text = document.createElement('p');
+    text.className = 'dialog-message';
+    text.textContent = message;
+
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const okBtn = document.createElement('button');
+    okBtn.textContent = confirmLabel;
+    okBtn.addEventListener('click', () => close(true));
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = cancelLabel;
+    cancelBtn.addEventListener('click', () => close(false));
+    buttons.append(okBtn, cancelBtn);
+
+    body.append(text, buttons);
   });
-
-  if (state.transactions.length !== beforeCount) {
-    console.log(
-      `Pruned transactions: ${beforeCount - state.transactions.length} old entries removed`
-    );
-    saveState();
-  }
 }
 
-function addIncome(amountDollars, note) {
-  const incomeEnv = getIncomeEnvelope();
-  if (!incomeEnv) {
-    alert('Income envelope not found.');
-    return;
-  }
-  addTransaction({
-    fromEnvelopeId: null,
-    toEnvelopeId: incomeEnv.id,
-    amountDollars,
-    note: note || 'Income',
+// Ask for several values at once. Resolves to the values, or null if cancelled.
+function openFormDialog({ title, message, fields, submitLabel, validate }) {
+  return showDialog(title, null, ({ body, close }) => {
+    if (message) {
+      const text = document.createElement('p');
+      text.className = 'dialog-message';
+      text.textContent = message;
+      body.appendChild(text);
+    }
+    body.appendChild(createForm({
+      fields,
+      submitLabel,
+      validate,
+      onSubmit: close,
+      onCancel: () => close(null),
+    }));
   });
 }
 
-function autoAllocate() {
-  const income = getIncomeEnvelope();
-  if (!income) {
-    alert('Income envelope not found.');
+// Non-blocking message in the notification area, read out by screen readers.
+// Errors stay until dismissed; everything else fades after a few seconds.
+function notify(message, { error = false } = {}) {
+  const area = document.getElementById('notifications');
+  if (!area) {
+    console.log(message);
     return;
   }
 
-  // Select target envelopes:
-  // - active
-  // - not core (so excludes Income/Overflow)
-  // - not credit cards
-  // - target > 0
-  const targets = state.envelopes.filter(env =>
-    env.isActive &&
-    !isCoreEnvelope(env) &&
-    !env.isCreditCard &&
-    env.targetCents > 0
-  );
+  const item = document.createElement('div');
+  item.className = error ? 'notification notification-error' : 'notification';
+  item.setAttribute('role', error ? 'alert' : 'status');
 
-  if (targets.length === 0) {
-    alert('No envelopes with a positive target to allocate to.');
-    return;
-  }
+  const text = document.createElement('span');
+  text.textContent = message;
 
-  const totalToAllocateCents = targets.reduce(
-    (sum, env) => sum + env.targetCents,
-    0
-  );
+  const dismissBtn = document.createElement('button');
+  dismissBtn.textContent = '×';
+  dismissBtn.setAttribute('aria-label', 'Dismiss');
+  dismissBtn.addEventListener('click', () => item.remove());
 
-  const ok = confirm(
-    `This will move $${centsToDollars(totalToAllocateCents)} ` +
-    `from Income to your target envelopes.\n\n` +
-    `Income may go below zero. Continue?`
-  );
-  if (!ok) return;
+  item.append(text, dismissBtn);
+  area.appendChild(item);
 
-  // Perform internal transfers using the transaction engine, but do not log them
-  targets.forEach(env => {
-    const amountDollars = env.targetCents / 100;
-    addTransaction({
-      fromEnvelopeId: income.id,
-      toEnvelopeId: env.id,
-      amountDollars,
-      note: 'Auto allocation',
-      log: false
-    });
-  });
+  if (!error) setTimeout(() => item.remove(), 6000);
+}
 
-  // Envelopes already re-rendered by addTransaction; just refresh summary explicitly
-  renderSummary();
+function notifyError(message) {
+  notify(message, { error: true });
 }
 
 // ===== Rendering =====
 
+function renderAll() {
+  renderEnvelopes();
+  renderTransactions();
+  renderCreditCards();
+  renderSummary();
+  renderCoreEnvelopesPanel();
+  renderAllocationHistory();
+  renderRecurring();
+  renderPayeeRules();
+  renderPeriodSettings();
+  renderArchive();
+  renderReports();
+  renderHistory();
+}
+
 function renderSummary() {
   const totalEnvCents = getTotalEnvelopesBalanceCents();
-  const cardCents = getTotalCreditCardBalanceCents();
-  const bankCents = state.bankBalanceCents || 0;
+  const cardCents = getTotalCardOwedCents();
+  const bankCents = getTotalAccountsBalanceCents();
+  // What is left once every card statement is paid in full
   const netAfterCardsCents = totalEnvCents - cardCents;
   const diffCents = bankCents - totalEnvCents;
   const allocCents = getTotalAllocationsCents();
+  const fundedCents = getTotalFundedThisPeriodCents();
 
   const elEnv = document.getElementById('sum-envelopes');
   const elCards = document.getElementById('sum-cards');
@@ -615,6 +6674,7 @@ function renderSummary() {
   const elNet = document.getElementById('sum-net-after-cards');
   const elDiff = document.getElementById('sum-diff');
   const elAlloc = document.getElementById('sum-allocations');
+  const elFunded = document.getElementById('sum-funded-period');
  
   if (elEnv) elEnv.textContent = centsToDollars(totalEnvCents);
   if (elCards) elCards.textContent = centsToDollars(cardCents);
@@ -622,6 +6682,101 @@ function renderSummary() {
   if (elNet) elNet.textContent = centsToDollars(netAfterCardsCents);
   if (elDiff) elDiff.textContent = centsToDollars(diffCents);
   if (elAlloc) elAlloc.textContent = centsToDollars(allocCents);
+  if (elFunded) elFunded.textContent = centsToDollars(fundedCents);
+
+  renderAccounts();
+}
+
+function renderAccounts() {
+  const container = document.getElementById('accounts-list');
+  if (container) {
+    container.innerHTML = '';
+    state.accounts.forEach(account => {
+      const row = document.createElement('div');
+      row.className = 'summary-row';
+
+      const text = document.createElement('span');
+      text.textContent = `${account.name} (${ACCOUNT_TYPES[account.type]}): $${centsToDollars(account.balanceCents)}`;
+
+      const setBtn = document.createElement('button');
+      setBtn.textContent = 'Set balance';
+      setBtn.addEventListener('click', async () => {
+        const values = await openFormDialog({
+          title: `Set balance for "${account.name}"`,
+          fields: [{
+            name: 'balance',
+            label: 'New balance ($)',
+            type: 'money',
+            value: centsToDollars(account.balanceCents),
+            required: true,
+            allowNegative: true,
+          }],
+        });
+        if (!values) return;
+        updateAccountBalance(account.id, values.balance);
+      });
+
+      const reconcileBtn = document.createElement('button');
+      reconcileBtn.textContent = 'Reconcile';
+      reconcileBtn.addEventListener('click', () => openReconcile(account.id));
+
+      const renameBtn = document.createElement('button');
+      renameBtn.textContent = 'Rename';
+      renameBtn.addEventListener('click', async () => {
+        const values = await openFormDialog({
+          title: 'Rename account',
+          fields: [{ name: 'name', label: 'Account name', type: 'text', value: account.name, required: true }],
+        });
+        if (!values) return;
+        renameAccount(account.id, values.name);
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        if (!(await confirmDialog(`Delete account "${account.name}"?`, { confirmLabel: 'Delete' }))) return;
+        deleteAccount(account.id);
+      });
+
+      row.appendChild(text);
+      row.appendChild(setBtn);
+      row.appendChild(reconcileBtn);
+      row.appendChild(renameBtn);
+      row.appendChild(deleteBtn);
+      container.appendChild(row);
+    });
+  }
+
+  renderAccountOptions();
+}
+
+// Account pickers, and whether each may be left on "(none)".
+const ACCOUNT_SELECTS = [
+  ['tx-account', true],
+  ['statement-account', true],
+  ['card-pay-account', false],
+  ['transfer-from', false],
+  ['transfer-to', false],
+  ['reconcile-account', false],
+];
+
+function renderAccountOptions() {
+  ACCOUNT_SELECTS.forEach(([id, optional]) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = optional ? '<option value="">(none)</option>' : '';
+    state.accounts.forEach(account => {
+      const opt = document.createElement('option');
+      opt.value = account.id;
+      opt.textContent = account.name;
+      select.appendChild(opt);
+    });
+
+    // Keep the user's picks across re-renders
+    if (state.accounts.some(a => a.id === selected)) select.value = selected;
+  });
 }
 
 function renderEnvelopes() {
@@ -630,6 +6785,8 @@ function renderEnvelopes() {
 
   container.innerHTML = '';
 
+  const bounds = getPeriodBounds();
+
   state.envelopes
     .filter(e => e.isActive && !e.isCreditCard && !isCoreEnvelope(e))
     .forEach(env => {
@@ -650,28 +6807,60 @@ function renderEnvelopes() {
         ? ''
         : ` ($${centsToDollars(env.targetCents)})`;
 
+      const { fundedCents, spentCents } = getEnvelopePeriodActivity(env.id, bounds);
+      const rolloverDisplay = env.rollover.policy === 'cap'
+        ? `cap $${centsToDollars(env.rollover.capCents)}`
+        : env.rollover.policy;
+
       info.innerHTML = `
         <strong>${env.name}</strong>
         <span>$${centsToDollars(env.balanceCents)}</span>
         <span>${targetDisplay}</span>
+        <small>funded $${centsToDollars(fundedCents)} · spent $${centsToDollars(spentCents)} · ` +
+        `available $${centsToDollars(env.balanceCents)} · ${rolloverDisplay}</small>
       `;
 
       const actions = document.createElement('div');
 
+      const detailBtn = document.createElement('button');
+      detailBtn.textContent = 'Details';
+      detailBtn.addEventListener('click', () => openEnvelopeDetail(env.id));
+      actions.appendChild(detailBtn);
+
       // Only allow editing/deleting for non-core envelopes
       if (!isCoreEnvelope(env)) {
         // Edit button
         const editBtn = document.createElement('button');
         editBtn.textContent = 'Edit';
-        editBtn.addEventListener('click', () => {
-          const newName = prompt('Envelope name', env.name);
-          if (!newName) return;
-          const newTargetStr = prompt(
-            'Target per period (dollars)',
-            (env.targetCents / 100).toString()
-          );
-          const newTarget = Number(newTargetStr) || 0;
-          updateEnvelope(env.id, { name: newName, targetDollars: newTarget });
+        editBtn.addEventListener('click', async () => {
+          const values = await openFormDialog({
+            title: `Edit "${env.name}"`,
+            fields: [
+              { name: 'name', label: 'Envelope name', type: 'text', value: env.name, required: true },
+              { name: 'target', label: 'Target per period ($)', type: 'money', value: centsToDollars(env.targetCents), required: true },
+              {
+                name: 'policy',
+                label: 'At period close',
+                type: 'select',
+                value: env.rollover.policy,
+                options: Object.entries(ROLLOVER_POLICIES).map(([value, label]) => ({ value, label })),
+              },
+              {
+                name: 'cap',
+                label: 'Carry over at most ($)',
+                type: 'money',
+                value: centsToDollars(env.rollover.capCents),
+                required: true,
+                showWhen: values => values.policy === 'cap',
+              },
+            ],
+          });
+          if (!values) return;
+          updateEnvelope(env.id, {
+            name: values.name,
+            targetDollars: values.target,
+            rollover: { policy: values.policy, capDollars: values.policy === 'cap' ? values.cap : 0 },
+          });
           renderTransactions();
         });
         actions.appendChild(editBtn);
@@ -679,8 +6868,8 @@ function renderEnvelopes() {
         // Delete button
         const deleteBtn = document.createElement('button');
         deleteBtn.textContent = 'Delete';
-        deleteBtn.addEventListener('click', () => {
-          if (!confirm(`Delete envelope "${env.name}"?`)) return;
+        deleteBtn.addEventListener('click', async () => {
+          if (!(await confirmDialog(`Delete envelope "${env.name}"?`, { confirmLabel: 'Delete' }))) return;
           deleteEnvelope(env.id);
         });
         actions.appendChild(deleteBtn);
@@ -696,6 +6885,7 @@ function renderEnvelopes() {
   renderCreditCards();
   renderSummary();
   renderCoreEnvelopesPanel();
+  renderEnvelopeDetail();
 }
 
 function renderCreditCards() {
@@ -704,58 +6894,153 @@ function renderCreditCards() {
 
   container.innerHTML = '';
 
-  state.envelopes
-    .filter(e => e.isActive && e.isCreditCard)
-    .forEach(env => {
-      const row = document.createElement('div');
-      row.className = 'card';
+  const cards = state.envelopes.filter(e => e.isActive && e.isCreditCard);
+  renderCardChargeOptions(cards);
 
-      const info = document.createElement('div');
-      info.className = 'card-info';
+  cards.forEach(env => {
+    const row = document.createElement('div');
+    row.className = 'card';
+
+    const info = document.createElement('div');
+    info.className = 'card-info';
+
+    const shortfallCents = getCardShortfallCents(env);
+    info.innerHTML = `
+      <strong>${env.name}</strong>
+      <span>Statement: $${centsToDollars(env.cardOwedCents)}</span>
+      <span>Reserved: $${centsToDollars(env.balanceCents)}</span>
+      <span${shortfallCents > 0 ? ' class="shortfall"' : ''}>Shortfall: $${centsToDollars(shortfallCents)}</span>
+    `;
+
+    const actions = document.createElement('div');
+    actions.style.display = 'inline-flex';
+    actions.style.gap = '0.25rem';
+    actions.style.marginLeft = '0.1rem';
+
+    const payBtn = document.createElement('button');
+    payBtn.textContent = 'Pay';
+    payBtn.disabled = env.cardOwedCents <= 0;
+    payBtn.addEventListener('click', async () => {
+      const accountSelect = document.getElementById('card-pay-account');
+      const account = getAccount(accountSelect?.value) || state.accounts[0];
+      const values = await openFormDialog({
+        title: `Pay "${env.name}"`,
+        fields: [
+          {
+            name: 'amount',
+            label: 'Amount paid ($)',
+            type: 'money',
+            value: centsToDollars(env.cardOwedCents),
+            required: true,
+            positive: true,
+          },
+          {
+            name: 'accountId',
+            label: 'Paid from',
+            type: 'select',
+            value: account.id,
+            options: state.accounts.map(a => ({ value: a.id, label: a.name })),
+          },
+        ],
+        submitLabel: 'Pay',
+        validate: ({ amount }) => dollarsToCents(amount) > env.cardOwedCents
+          ? { amount: `That is more than the $${centsToDollars(env.cardOwedCents)} owed on this card.` }
+          : null,
+      });
+      if (!values) return;
+      if (dollarsToCents(values.amount) > env.balanceCents && !(await confirmDialog(
+        `Only $${centsToDollars(env.balanceCents)} is reserved for this card.\n` +
+        'The card envelope will go negative until you move money into it.',
+        { title: 'Pay anyway?', confirmLabel: 'Pay anyway' }
+      ))) return;
+      payCard(env.id, values.amount, values.accountId);
+    });
+    actions.appendChild(payBtn);
 
-      // Card "target" is always conceptually N/A
-      const balanceStr = centsToDollars(env.balanceCents);
+    // For cards, allow rename but not target editing
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Rename';
+    editBtn.addEventListener('click', async () => {
+      const values = await openFormDialog({
+        title: 'Rename card',
+        fields: [{ name: 'name', label: 'Card name', type: 'text', value: env.name, required: true }],
+      });
+      if (!values) return;
+      updateEnvelope(env.id, { name: values.name });
+      renderTransactions();
+    });
+    actions.appendChild(editBtn);
 
-      info.innerHTML = `
-        <strong>${env.name}</strong>
-        <span>$${balanceStr}</span>
-      `;
+    // Deletion rule for cards: require nothing owed or reserved (pay off first)
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      if (env.cardOwedCents !== 0 || env.balanceCents !== 0) {
+        notifyError('You must pay this card to $0 and empty its reserve before deleting it.');
+        return;
+      }
+      if (!(await confirmDialog(`Delete credit card "${env.name}"?`, { confirmLabel: 'Delete' }))) return;
+      // Reuse deleteEnvelope, but since balance is zero, nothing will be merged
+      deleteEnvelope(env.id);
+    });
+    actions.appendChild(deleteBtn);
 
-      const actions = document.createElement('div');
-      actions.style.display = 'inline-flex';
-      actions.style.gap = '0.25rem';
-      actions.style.marginLeft = '0.1rem';
-
-      // For cards, allow rename but not target editing
-      const editBtn = document.createElement('button');
-      editBtn.textContent = 'Rename';
-      editBtn.addEventListener('click', () => {
-        const newName = prompt('Card name', env.name);
-        if (!newName) return;
-        updateEnvelope(env.id, { name: newName });
-        renderTransactions
-      });
-      actions.appendChild(editBtn);
-
-      // Deletion rule for cards: require zero balance (pay off first)
-      const deleteBtn = document.createElement('button');
-      deleteBtn.textContent = 'Delete';
-      deleteBtn.addEventListener('click', () => {
-        if (env.balanceCents !== 0) {
-          alert('You must pay this card to $0 before deleting it.');
-          return;
-        }
-        if (!confirm(`Delete credit card "${env.name}"?`)) return;
-        // Reuse deleteEnvelope, but since balance is zero, nothing will be merged
-        deleteEnvelope(env.id);
-      });
-      actions.appendChild(deleteBtn);
+    row.appendChild(info);
+    row.appendChild(actions);
 
-      row.appendChild(info);
-      row.appendChild(actions);
+    container.appendChild(row);
+  });
+}
 
-      container.appendChild(row);
+// Card charge form: cards to charge, and the spending envelopes to charge from.
+function renderCardChargeOptions(cards) {
+  const cardSelect = document.getElementById('charge-card');
+  const fromSelect = document.getElementById('charge-from');
+  if (!cardSelect || !fromSelect) return;
+
+  const fill = (select, envelopes) => {
+    const previous = select.value;
+    select.innerHTML = '';
+    envelopes.forEach(env => {
+      const opt = document.createElement('option');
+      opt.value = env.id;
+      opt.textContent = env.name;
+      select.appendChild(opt);
     });
+    if (envelopes.some(env => env.id === previous)) select.value = previous;
+  };
+
+  fill(cardSelect, cards);
+  fill(fromSelect, state.envelopes.filter(e => e.isActive && !e.isCreditCard));
+}
+
+function formatTransactionText(tx) {
+  const dateStr = new Date(tx.timestamp).toLocaleDateString();
+
+  const accountName = id => getAccount(id)?.name || '(unknown account)';
+
+  // Transfers move money between accounts, not envelopes
+  const fromName = tx.toAccountId
+    ? accountName(tx.accountId)
+    : tx.splits
+      ? `Split (${tx.splits.length})`
+      : tx.fromEnvelopeId
+      ? (state.envelopes.find(e => e.id === tx.fromEnvelopeId)?.name || '(unknown)')
+      : 'Add to';
+
+  const toName = tx.toAccountId
+    ? accountName(tx.toAccountId)
+    : tx.toEnvelopeId
+      ? (state.envelopes.find(e => e.id === tx.toEnvelopeId)?.name || '(unknown)')
+      : 'Spent';
+
+  const description = [tx.payee, tx.note].filter(Boolean).join(': ');
+  const tags = tx.tags.length ? ' ' + tx.tags.map(tag => '#' + tag).join(' ') : '';
+  const kind = tx.kind ? ` [${CARD_TRANSACTION_KINDS[tx.kind]}]` : '';
+  const account = tx.accountId && !tx.toAccountId ? ` @${accountName(tx.accountId)}` : '';
+  const cleared = isTransactionLocked(tx) ? ' [reconciled]' : tx.cleared || tx.toCleared ? ' [cleared]' : '';
+
+  return `${dateStr} | $${centsToDollars(tx.amountCents)}  | ${fromName} → ${toName} | ${description}${tags}${account}${kind}${cleared}`;
 }
 
 function renderTransactions() {
@@ -763,112 +7048,630 @@ function renderTransactions() {
   if (!container) return;
 
   container.innerHTML = '';
+  renderTransactionFilterControls();
 
-  const txs = [...state.transactions].sort((a, b) =>
-    b.timestamp.localeCompare(a.timestamp)
-  );
+  const txs = getFilteredTransactions();
 
+  // Auto-allocation legs collapse into one entry, placed at the newest
+  // matching leg; the entry still lists the whole batch.
+  const entries = [];
+  const seenBatches = new Set();
   txs.forEach(tx => {
+    if (!tx.batchId) {
+      entries.push({ tx });
+    } else if (!seenBatches.has(tx.batchId)) {
+      seenBatches.add(tx.batchId);
+      entries.push({
+        batchId: tx.batchId,
+        legs: state.transactions
+          .filter(t => t.batchId === tx.batchId)
+          .sort((a, b) => b.timestamp.localeCompare(a.timestamp)),
+      });
+    }
+  });
+
+  const pageCount = Math.max(1, Math.ceil(entries.length / TRANSACTION_PAGE_SIZE));
+  transactionFilters.page = Math.min(transactionFilters.page, pageCount - 1);
+  const start = transactionFilters.page * TRANSACTION_PAGE_SIZE;
+
+  renderTransactionTotals(txs);
+  renderTransactionPager(pageCount);
+  renderReports();
+
+  if (entries.length === 0) {
+    container.textContent = state.transactions.length ? 'No transactions match these filters.' : 'No transactions yet.';
+  }
+
+  entries.slice(start, start + TRANSACTION_PAGE_SIZE).forEach(({ tx, batchId, legs }) => {
+    if (batchId) {
+      container.appendChild(renderAllocationBatchRow(batchId, legs));
+      return;
+    }
+
+    if (tx.id === editingTransactionId && !isTransactionLocked(tx)) {
+      container.appendChild(renderTransactionEditor(tx));
+      return;
+    }
+
+    if (tx.splits) {
+      container.appendChild(renderSplitTransactionRow(tx));
+      return;
+    }
+
     const row = document.createElement('div');
     row.className = 'transaction';
 
-    const dateStr = new Date(tx.timestamp).toLocaleDateString();
+    const textSpan = document.createElement('span');
+    textSpan.textContent = formatTransactionText(tx);
 
-    const fromName = tx.fromEnvelopeId
-      ? (state.envelopes.find(e => e.id === tx.fromEnvelopeId)?.name || '(unknown)')
-      : 'Add to';
+    const buttonsDiv = document.createElement('div');
+    buttonsDiv.style.display = 'inline-flex';
+    buttonsDiv.style.gap = '0.25rem';
+    buttonsDiv.style.marginLeft = '0.1rem';
+
+
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openTransactionEditor(tx.id));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      if (!(await confirmDialog('Delete this transaction?', { confirmLabel: 'Delete' }))) return;
+      deleteTransaction(tx.id);
+    });
+
+    // Reconciled transactions are locked
+    if (!isTransactionLocked(tx)) {
+      buttonsDiv.appendChild(editBtn);
+      buttonsDiv.appendChild(deleteBtn);
+    }
+
+    row.appendChild(buttonsDiv);
+    row.appendChild(textSpan);
+
+    container.appendChild(row);
+  });
+}
+
+// Transaction currently open in the inline editor, if any.
+let editingTransactionId = null;
+
+function openTransactionEditor(id) {
+  editingTransactionId = id;
+  renderTransactions();
+}
+
+function closeTransactionEditor() {
+  editingTransactionId = null;
+  renderTransactions();
+}
+
+// Envelope picker for the editor: active envelopes plus whatever the
+// transaction already points at, even if that envelope was deleted since.
+function getEnvelopeFieldOptions(selectedId, allowNone) {
+  const options = allowNone ? [{ value: '', label: '(none)' }] : [];
+  state.envelopes
+    .filter(e => e.isActive || e.id === selectedId)
+    .forEach(env => {
+      options.push({ value: env.id, label: env.name + (env.isActive ? '' : ' (deleted)') });
+    });
+  return options;
+}
+
+function renderTransactionEditor(tx) {
+  const container = document.createElement('div');
+  container.className = 'transaction tx-editor';
+
+  // Transfers move money between accounts, so they have no envelopes to pick
+  const isTransfer = !!tx.toAccountId;
+  const fields = [{
+    name: 'date',
+    label: 'Date',
+    type: 'date',
+    value: formatLocalDate(new Date(tx.timestamp)),
+    max: formatLocalDate(new Date()),
+    required: true,
+  }];
+
+  if (!isTransfer && !tx.splits) {
+    fields.push({ name: 'from', label: 'From', type: 'select', value: tx.fromEnvelopeId || '', options: getEnvelopeFieldOptions(tx.fromEnvelopeId, true) });
+  }
+  if (!isTransfer) {
+    fields.push({ name: 'to', label: 'To', type: 'select', value: tx.toEnvelopeId || '', options: getEnvelopeFieldOptions(tx.toEnvelopeId, true) });
+  }
+  (tx.splits || []).forEach((line, index) => {
+    fields.push(
+      { name: `line${index}Envelope`, label: `Line ${index + 1}`, type: 'select', value: line.envelopeId, options: getEnvelopeFieldOptions(line.envelopeId, false) },
+      { name: `line${index}Amount`, label: `Line ${index + 1} amount ($)`, type: 'money', value: centsToDollars(line.amountCents), required: true, positive: true }
+    );
+  });
+  if (!tx.splits) {
+    fields.push({ name: 'amount', label: 'Amount ($)', type: 'money', value: centsToDollars(tx.amountCents), required: true, positive: true });
+  }
+  fields.push({ name: 'note', label: 'Note', type: 'text', value: tx.note });
+
+  const toUpdates = (values) => {
+    const updates = {
+      timestamp: getEntryTimestamp(values.date, tx.timestamp),
+      note: values.note,
+    };
+    if ('from' in values) updates.fromEnvelopeId = values.from || null;
+    if ('to' in values) updates.toEnvelopeId = values.to || null;
+    if ('amount' in values) updates.amountDollars = values.amount;
+    if (tx.splits) {
+      updates.splits = tx.splits.map((_, index) => ({
+        envelopeId: values[`line${index}Envelope`],
+        amountDollars: values[`line${index}Amount`],
+      }));
+    }
+    return updates;
+  };
+
+  container.appendChild(createForm({
+    fields,
+    validate: (values) => {
+      const updates = toUpdates(values);
+      const problem = getTransactionInputProblem({
+        date: values.date,
+        fromEnvelopeId: 'from' in values ? updates.fromEnvelopeId : null,
+        toEnvelopeId: 'to' in values ? updates.toEnvelopeId : null,
+        amountDollars: updates.amountDollars,
+        splits: updates.splits,
+        isTransfer,
+      }) || getCardKindProblem({ ...tx, ...updates, splits: updates.splits || null });
+      return problem ? problem.charAt(0).toUpperCase() + problem.slice(1) + '.' : null;
+    },
+    onSubmit: (values) => {
+      editingTransactionId = null;
+      updateTransaction(tx.id, toUpdates(values));
+    },
+    onCancel: closeTransactionEditor,
+  }));
+  return container;
+}
+
+// One row for the whole split; its lines show when expanded.
+function renderSplitTransactionRow(tx) {
+  const details = document.createElement('details');
+  details.className = 'transaction batch';
+
+  const summary = document.createElement('summary');
+
+  if (!isTransactionLocked(tx)) {
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', (event) => {
+      event.preventDefault(); // don't toggle the <details>
+      openTransactionEditor(tx.id);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async (event) => {
+      event.preventDefault();
+      if (!(await confirmDialog('Delete this split transaction and all its lines?', { confirmLabel: 'Delete' }))) return;
+      deleteTransaction(tx.id);
+    });
+
+    summary.appendChild(editBtn);
+    summary.appendChild(deleteBtn);
+  }
+
+  const textSpan = document.createElement('span');
+  textSpan.textContent = formatTransactionText(tx);
+  summary.appendChild(textSpan);
+  details.appendChild(summary);
+
+  tx.splits.forEach(line => {
+    const row = document.createElement('div');
+    row.className = 'batch-leg';
+    const name = state.envelopes.find(e => e.id === line.envelopeId)?.name || '(unknown)';
+    row.textContent = `${name}: $${centsToDollars(line.amountCents)}`;
+    details.appendChild(row);
+  });
+
+  return details;
+}
+
+// Split lines in the New Transaction form; with two or more, they replace
+// the From envelope and add up to the amount.
+function addSplitLine() {
+  const container = document.getElementById('tx-splits');
+  if (!container) return;
+
+  const line = document.createElement('div');
+  line.className = 'split-line';
+
+  const select = document.createElement('select');
+  select.className = 'split-envelope';
+  select.setAttribute('aria-label', 'Split envelope');
+  state.envelopes
+    .filter(e => e.isActive)
+    .forEach(env => {
+      const opt = document.createElement('option');
+      opt.value = env.id;
+      opt.textContent = env.name + ' $' + centsToDollars(env.balanceCents);
+      select.appendChild(opt);
+    });
+
+  const amount = document.createElement('input');
+  amount.type = 'number';
+  amount.step = '0.01';
+  amount.placeholder = '0.00';
+  amount.className = 'split-amount';
+  amount.setAttribute('aria-label', 'Split amount');
+  amount.addEventListener('input', updateSplitTotal);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    line.remove();
+    updateSplitTotal();
+  });
+
+  line.appendChild(select);
+  line.appendChild(amount);
+  line.appendChild(removeBtn);
+  container.appendChild(line);
+  updateSplitTotal();
+}
+
+function getSplitLinesFromForm() {
+  return [...document.querySelectorAll('#tx-splits .split-line')].map(line => ({
+    envelopeId: line.querySelector('.split-envelope').value,
+    amountDollars: Number(line.querySelector('.split-amount').value),
+  }));
+}
+
+// While splitting, the amount is the lines' total and From is unused.
+function updateSplitTotal() {
+  const txAmount = document.getElementById('tx-amount');
+  const txFrom = document.getElementById('tx-from');
+  if (!txAmount || !txFrom) return;
+
+  const lines = getSplitLinesFromForm();
+  const splitting = lines.length > 0;
+  txAmount.readOnly = splitting;
+  txFrom.disabled = splitting;
+  if (splitting) {
+    const totalCents = lines.reduce((sum, line) => sum + dollarsToCents(line.amountDollars || 0), 0);
+    txAmount.value = (totalCents / 100).toFixed(2);
+  }
+}
+
+async function confirmRevertAllocationBatch(batchId) {
+  if (!(await confirmDialog('Revert this auto allocation? Every envelope it funded gives the money back to Income.'))) return;
+  revertAllocationBatch(batchId);
+}
+
+function renderAllocationBatchRow(batchId, legs) {
+  const totalCents = legs.reduce((sum, tx) => sum + tx.amountCents, 0);
+
+  const details = document.createElement('details');
+  details.className = 'transaction batch';
+
+  const summary = document.createElement('summary');
+
+  const revertBtn = document.createElement('button');
+  revertBtn.textContent = 'Revert';
+  revertBtn.addEventListener('click', (event) => {
+    event.preventDefault(); // don't toggle the <details>
+    confirmRevertAllocationBatch(batchId);
+  });
+
+  const textSpan = document.createElement('span');
+  textSpan.textContent =
+    `${new Date(legs[0].timestamp).toLocaleDateString()} | $${centsToDollars(totalCents)}  | ` +
+    `Auto allocation to ${legs.length} envelope(s)`;
+
+  summary.appendChild(revertBtn);
+  summary.appendChild(textSpan);
+  details.appendChild(summary);
+
+  legs.forEach(tx => {
+    const line = document.createElement('div');
+    line.className = 'batch-leg';
+    line.textContent = formatTransactionText(tx);
+    details.appendChild(line);
+  });
+
+  return details;
+}
+
+function renderAllocationHistory() {
+  const container = document.getElementById('allocation-history');
+  if (!container) return;
 
-    const toName = tx.toEnvelopeId
-      ? (state.envelopes.find(e => e.id === tx.toEnvelopeId)?.name || '(unknown)')
-      : 'Spent';
+  container.innerHTML = '';
 
-    const textSpan = document.createElement('span');
-    textSpan.textContent =
-      `${dateStr} | $${centsToDollars(tx.amountCents)}  | ${fromName} → ${toName} | ${tx.note}`;
+  const batches = [...state.allocationBatches].sort((a, b) =>
+    b.timestamp.localeCompare(a.timestamp)
+  );
 
-    const buttonsDiv = document.createElement('div');
-    buttonsDiv.style.display = 'inline-flex';
-    buttonsDiv.style.gap = '0.25rem';
-    buttonsDiv.style.marginLeft = '0.1rem';
+  if (batches.length === 0) {
+    container.textContent = 'No auto allocations yet.';
+    return;
+  }
 
+  let currentPeriodLabel = null;
 
-    const editBtn = document.createElement('button');
-    editBtn.textContent = 'Edit';
-    editBtn.addEventListener('click', () => {
-      // simple prompt-based editor for now
-      const amountDollars = Number(prompt(
-        'New amount (dollars):',
-        (tx.amountCents / 100).toString()
-      ));
-      if (!amountDollars || amountDollars <= 0) return;
-
-      const note = prompt('Note:', tx.note ?? '') ?? tx.note;
-
-      updateTransaction(tx.id, {
-        amountDollars,
-        note,
-      });
-    });
+  batches.forEach(batch => {
+    const periodLabel = formatPeriod(getPeriodBounds(new Date(batch.timestamp)));
+    if (periodLabel !== currentPeriodLabel) {
+      currentPeriodLabel = periodLabel;
+      const heading = document.createElement('h4');
+      heading.textContent = `Period ${periodLabel}`;
+      container.appendChild(heading);
+    }
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.textContent = 'Delete';
-    deleteBtn.addEventListener('click', () => {
-      if (!confirm('Delete this transaction?')) return;
-      deleteTransaction(tx.id);
+    const details = document.createElement('details');
+    details.className = 'batch';
+
+    const summary = document.createElement('summary');
+    const status = batch.revertedAt
+      ? ` (reverted ${new Date(batch.revertedAt).toLocaleDateString()})`
+      : '';
+    summary.textContent =
+      `${new Date(batch.timestamp).toLocaleDateString()} | $${centsToDollars(batch.totalCents)} | ` +
+      `${batch.legs.length} envelope(s)${status}`;
+    details.appendChild(summary);
+
+    batch.legs.forEach(leg => {
+      const line = document.createElement('div');
+      line.className = 'batch-leg';
+      const name = state.envelopes.find(e => e.id === leg.envelopeId)?.name || leg.envelopeName;
+      line.textContent = `${name}: $${centsToDollars(leg.amountCents)}`;
+      details.appendChild(line);
     });
 
-    buttonsDiv.appendChild(editBtn);
-    buttonsDiv.appendChild(deleteBtn);
-
-    row.appendChild(buttonsDiv);
-    row.appendChild(textSpan);
+    if (!batch.revertedAt) {
+      const revertBtn = document.createElement('button');
+      revertBtn.textContent = 'Revert';
+      revertBtn.addEventListener('click', () => confirmRevertAllocationBatch(batch.id));
+      details.appendChild(revertBtn);
+    }
 
-    container.appendChild(row);
+    container.appendChild(details);
   });
 }
 
-function renderTransactionEnvelopeOptions() {
-  const fromSelect = document.getElementById('tx-from');
-  const toSelect = document.getElementById('tx-to');
-  if (!fromSelect || !toSelect) return;
-
-  // Preserve the "(none)" option at the top
-  const baseOptionFrom = '<option value="">(none)</option>';
-  const baseOptionTo = '<option value="">(none)</option>';
-
-  fromSelect.innerHTML = baseOptionFrom;
-  toSelect.innerHTML = baseOptionTo;
+// Envelope pickers that list every active envelope, as [from, to] pairs.
+const ENVELOPE_SELECT_PAIRS = [
+  ['tx-from', 'tx-to'],
+  ['recurring-from', 'recurring-to'],
+  ['rule-from', 'rule-to'],
+];
 
-  state.envelopes
-    .filter(e => e.isActive)
-    .forEach(env => {
-      const optFrom = document.createElement('option');
-      optFrom.value = env.id;
-      optFrom.textContent = env.name + " $" + centsToDollars(env.balanceCents);
-      fromSelect.appendChild(optFrom);
+function renderTransactionEnvelopeOptions() {
+  ENVELOPE_SELECT_PAIRS.forEach(([fromId, toId]) => {
+    const fromSelect = document.getElementById(fromId);
+    const toSelect = document.getElementById(toId);
+    if (!fromSelect || !toSelect) return;
+
+    const selectedFrom = fromSelect.value;
+    const selectedTo = toSelect.value;
+
+    // Preserve the "(none)" option at the top
+    const baseOptionFrom = '<option value="">(none)</option>';
+    const baseOptionTo = '<option value="">(none)</option>';
+
+    fromSelect.innerHTML = baseOptionFrom;
+    toSelect.innerHTML = baseOptionTo;
+
+    state.envelopes
+      .filter(e => e.isActive)
+      .forEach(env => {
+        const optFrom = document.createElement('option');
+        optFrom.value = env.id;
+        optFrom.textContent = env.name + " $" + centsToDollars(env.balanceCents);
+        fromSelect.appendChild(optFrom);
+
+        const optTo = document.createElement('option');
+        optTo.value = env.id;
+        optTo.textContent = env.name + " $" + centsToDollars(env.balanceCents);
+        toSelect.appendChild(optTo);
+      });
 
-      const optTo = document.createElement('option');
-      optTo.value = env.id;
-      optTo.textContent = env.name + " $" + centsToDollars(env.balanceCents);
-      toSelect.appendChild(optTo);
-    });
+    // Keep the user's picks across re-renders
+    if (state.envelopes.some(e => e.isActive && e.id === selectedFrom)) fromSelect.value = selectedFrom;
+    if (state.envelopes.some(e => e.isActive && e.id === selectedTo)) toSelect.value = selectedTo;
+  });
 }
 
 // ===== Init and wiring =====
 
-function init() {
+async function init() {
   console.log('App initialized');
 
-  loadState();
+  loadProfiles();
+  renderProfiles();
+  await loadState();
+  startTabSync();
+  loadHistory();
   ensureCoreEnvelopes();
-  pruneOldTransactions();
+  processRecurring();
+  closeElapsedPeriods();
+  archiveOldTransactions();
   cleanupUnusedEnvelopes();
+  if (pendingHistoryEntry) pendingHistoryEntry.label = 'Automatic updates on load';
+
+  // Encryption at rest
+  const encryptionEnableBtn = document.getElementById('encryption-enable-btn');
+  const encryptionDisableBtn = document.getElementById('encryption-disable-btn');
+
+  renderEncryptionStatus();
+  if (encryptionEnableBtn) {
+    encryptionEnableBtn.addEventListener('click', async () => {
+      const values = await askNewPassphrase(
+        'Encrypt this budget',
+        'You will need this passphrase every time the app opens. ' +
+        'It cannot be recovered, so export a backup first.'
+      );
+      if (!values) return;
+      try {
+        await enableEncryption(values.passphrase);
+        notify('This budget is now encrypted in this browser.');
+      } catch (err) {
+        console.error('Failed to turn on encryption', err);
+        notifyError(`Encryption could not be turned on: ${err.message || err}`);
+      }
+    });
+  }
+  if (encryptionDisableBtn) {
+    encryptionDisableBtn.addEventListener('click', async () => {
+      const ok = await confirmDialog(
+        'Store this budget unencrypted in this browser again?',
+        { title: 'Turn off encryption', confirmLabel: 'Turn off' }
+      );
+      if (!ok) return;
+      try {
+        await disableEncryption();
+        notify('This budget is no longer encrypted in this browser.');
+      } catch (err) {
+        console.error('Failed to turn off encryption', err);
+        notifyError(`Encryption could not be turned off: ${err.message || err}`);
+      }
+    });
+  }
+
+  // Sync
+  const syncBtn = document.getElementById('sync-btn');
+  const syncConflictsBtn = document.getElementById('sync-conflicts-btn');
+  const syncSetupBtn = document.getElementById('sync-setup-btn');
+  const syncDisableBtn = document.getElementById('sync-disable-btn');
+
+  loadSyncSettings();
+  if (syncSettings) setSyncStatus('idle', 'Not synced yet.');
+  renderSyncSettings();
+  startSync();
+  if (syncBtn) {
+    syncBtn.addEventListener('click', () => syncNow(true));
+  }
+  if (syncConflictsBtn) {
+    syncConflictsBtn.addEventListener('click', showSyncConflicts);
+  }
+  if (syncSetupBtn) {
+    syncSetupBtn.addEventListener('click', openSyncSettings);
+  }
+  if (syncDisableBtn) {
+    syncDisableBtn.addEventListener('click', disableSync);
+  }
+
+  // Undo history
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+
+  if (undoBtn) {
+    undoBtn.addEventListener('click', undo);
+  }
+  if (redoBtn) {
+    redoBtn.addEventListener('click', redo);
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y), except while typing in a field where
+  // the browser's own text undo applies.
+  document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable]')) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      redo();
+    }
+  });
+
+  // Profiles
+  const profileSelect = document.getElementById('profile-select');
+  const profileNewBtn = document.getElementById('profile-new-btn');
+  const profileDuplicateBtn = document.getElementById('profile-duplicate-btn');
+  const profileRenameBtn = document.getElementById('profile-rename-btn');
+  const profileDeleteBtn = document.getElementById('profile-delete-btn');
+
+  const askProfileName = (title, value, submitLabel) => openFormDialog({
+    title,
+    fields: [{ name: 'name', label: 'Budget name', type: 'text', value, required: true }],
+    submitLabel,
+  });
+
+  if (profileSelect) {
+    profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+  }
+  if (profileNewBtn) {
+    profileNewBtn.addEventListener('click', async () => {
+      const values = await askProfileName('New budget', '', 'Create');
+      if (!values) return;
+      await switchProfile(addProfile(values.name).id);
+    });
+  }
+  if (profileDuplicateBtn) {
+    profileDuplicateBtn.addEventListener('click', async () => {
+      const values = await askProfileName('Duplicate budget', `${getActiveProfile().name} copy`, 'Duplicate');
+      if (!values) return;
+      try {
+        const profile = await duplicateProfile(values.name);
+        await switchProfile(profile.id);
+      } catch (err) {
+        console.error('Failed to duplicate profile', err);
+        notifyError(`The budget could not be copied: ${err.message || err}`);
+      }
+    });
+  }
+  if (profileRenameBtn) {
+    profileRenameBtn.addEventListener('click', async () => {
+      const profile = getActiveProfile();
+      const values = await askProfileName('Rename budget', profile.name, 'Rename');
+      if (!values || values.name === profile.name) return;
+      renameProfile(profile.id, values.name);
+    });
+  }
+  if (profileDeleteBtn) {
+    profileDeleteBtn.addEventListener('click', async () => {
+      const profile = getActiveProfile();
+      const ok = await confirmDialog(
+        `Delete the budget "${profile.name}" and everything in it? ` +
+        'Export it first if you might want it back.',
+        { title: 'Delete budget?', confirmLabel: 'Delete budget' }
+      );
+      if (!ok) return;
+      try {
+        await deleteProfile(profile.id);
+      } catch (err) {
+        console.error('Failed to delete profile', err);
+        notifyError(`The budget could not be deleted: ${err.message || err}`);
+      }
+    });
+  }
 
   // Backup & restore
-    const exportBtn = document.getElementById('export-btn');
+  const exportBtn = document.getElementById('export-btn');
+  const exportAllBtn = document.getElementById('export-all-btn');
+  const exportEncryptedBtn = document.getElementById('export-encrypted-btn');
   const importBtn = document.getElementById('import-btn');
   const importFileInput = document.getElementById('import-file');
 
+  if (exportEncryptedBtn) {
+    exportEncryptedBtn.addEventListener('click', () => {
+      exportEncryptedStateToFile().catch(err => {
+        console.error('Failed to export encrypted backup', err);
+        notifyError(`Export failed: ${err.message || err}`);
+      });
+    });
+  }
+
+  if (exportAllBtn) {
+    exportAllBtn.addEventListener('click', () => {
+      exportAllProfiles().catch(err => {
+        console.error('Failed to export profiles', err);
+        notifyError(`Export failed: ${err.message || err}`);
+      });
+    });
+  }
+
   if (exportBtn) {
     exportBtn.addEventListener('click', () => {
       exportStateToFile();
@@ -892,37 +7695,363 @@ function init() {
   }
 
 
-  // Bank & summary
-  const bankInput = document.getElementById('bank-input');
-  const bankSaveBtn = document.getElementById('bank-save-btn');
+  // Bank statement import
+  const statementBtn = document.getElementById('statement-btn');
+  const statementFileInput = document.getElementById('statement-file');
+  const statementPostBtn = document.getElementById('statement-post-btn');
+  const statementCancelBtn = document.getElementById('statement-cancel-btn');
+
+  if (statementBtn && statementFileInput) {
+    statementBtn.addEventListener('click', () => {
+      statementFileInput.value = '';
+      statementFileInput.click();
+    });
+    statementFileInput.addEventListener('change', () => {
+      loadStatementFile(statementFileInput.files[0]);
+    });
+  }
+  if (statementPostBtn) {
+    statementPostBtn.addEventListener('click', () => {
+      if (!pendingStatement) return;
+      const accepted = pendingStatement.rows.filter(row => row.valid && row.accepted);
+      if (accepted.length === 0) {
+        notifyError('Tick at least one row to import.');
+        return;
+      }
+      const missing = accepted.filter(row => !row.envelopeId);
+      if (missing.length) {
+        notifyError(`Choose an envelope for ${missing.length} ticked row(s) first.`);
+        return;
+      }
+      const statementAccount = document.getElementById('statement-account');
+      const posted = postStatementRows(accepted, statementAccount?.value || null);
+      renderPayeeRules();
+      closeStatementImport();
+      notify(`Posted ${posted} transaction(s).`);
+    });
+  }
+  if (statementCancelBtn) {
+    statementCancelBtn.addEventListener('click', closeStatementImport);
+  }
+
+  // Import preview
+  const importMergeBtn = document.getElementById('import-merge-btn');
+  const importReplaceBtn = document.getElementById('import-replace-btn');
+  const importCancelBtn = document.getElementById('import-cancel-btn');
+
+  if (importMergeBtn) {
+    importMergeBtn.addEventListener('click', () => {
+      if (!pendingImport) return;
+      const { data, selected, useBackupBalance } = pendingImport;
+      const counts = mergeImport(data, selected, useBackupBalance);
+      closeImportPreview();
+      notify(
+        `Merged ${counts.envelopes} envelope change(s), ` +
+        `${counts.transactions} transaction change(s) and ` +
+        `${counts.balances} balance override(s).`
+      );
+    });
+  }
+  if (importReplaceBtn) {
+    importReplaceBtn.addEventListener('click', () => {
+      if (pendingImport) replaceStateWithImport(pendingImport.data);
+    });
+  }
+  if (importCancelBtn) {
+    importCancelBtn.addEventListener('click', closeImportPreview);
+  }
+
+  // Reconciliation
+  const reconcileBtn = document.getElementById('reconcile-btn');
+  const reconcileStatement = document.getElementById('reconcile-statement');
+  const reconcileStart = document.getElementById('reconcile-start');
+  const reconcileFinishBtn = document.getElementById('reconcile-finish-btn');
+  const reconcileCloseBtn = document.getElementById('reconcile-close-btn');
+
+  const reconcileAccount = document.getElementById('reconcile-account');
+
+  if (reconcileBtn) {
+    reconcileBtn.addEventListener('click', () => openReconcile());
+  }
+  if (reconcileAccount) {
+    reconcileAccount.addEventListener('change', () => openReconcile(reconcileAccount.value));
+  }
+  if (reconcileStatement) {
+    reconcileStatement.addEventListener('input', renderReconcileStatus);
+  }
+  if (reconcileStart) {
+    reconcileStart.addEventListener('input', () => {
+      if (reconcileDraft) reconcileDraft.startCents = dollarsToCents(Number(reconcileStart.value) || 0);
+      renderReconcileStatus();
+    });
+  }
+  if (reconcileFinishBtn && reconcileStatement) {
+    reconcileFinishBtn.addEventListener('click', async () => {
+      const statement = parseMoneyInput(reconcileStatement.value);
+      if (statement === null) {
+        notifyError('Enter the statement balance.');
+        return;
+      }
+
+      const accountId = reconcileDraft.accountId;
+      const discrepancyCents = getReconcileDiscrepancyCents(accountId, dollarsToCents(statement));
+      let postAdjustment = false;
+      if (discrepancyCents !== 0) {
+        postAdjustment = await confirmDialog(
+          `The cleared items are off by $${centsToDollars(discrepancyCents)}.\n` +
+          'An adjustment through Overflow can make up the difference.',
+          { title: 'Statement does not balance', confirmLabel: 'Post adjustment', cancelLabel: 'Finish without one' }
+        );
+        if (!postAdjustment && !(await confirmDialog('Finish the reconciliation with the discrepancy left in?'))) return;
+      }
+
+      const record = finishReconciliation(accountId, statement, postAdjustment);
+      reconcileStatement.value = '';
+      renderReconcile();
+      notify(`Reconciled ${record.transactionIds.length} transaction(s).`);
+    });
+  }
+  if (reconcileCloseBtn) {
+    reconcileCloseBtn.addEventListener('click', closeReconcile);
+  }
+
+  // Ledger audit
+  const auditBtn = document.getElementById('audit-btn');
+  const auditFixBtn = document.getElementById('audit-fix-btn');
+  const auditCloseBtn = document.getElementById('audit-close-btn');
+
+  if (auditBtn) {
+    auditBtn.addEventListener('click', openAudit);
+  }
+  if (auditFixBtn) {
+    auditFixBtn.addEventListener('click', async () => {
+      const discrepancies = auditLedger();
+      if (discrepancies.length === 0) return;
+      const ok = await confirmDialog(
+        `Post ${discrepancies.length} adjustment transaction(s) so the ledger ` +
+        `matches the current envelope balances?`,
+        { confirmLabel: 'Post adjustments' }
+      );
+      if (!ok) return;
+      postAuditAdjustments(discrepancies);
+      renderAudit();
+    });
+  }
+  if (auditCloseBtn) {
+    auditCloseBtn.addEventListener('click', closeAudit);
+  }
+
+  // Recurring transactions
+  const recurringAddBtn = document.getElementById('recurring-add-btn');
+  const recurringFrom = document.getElementById('recurring-from');
+  const recurringTo = document.getElementById('recurring-to');
+  const recurringAmount = document.getElementById('recurring-amount');
+  const recurringNote = document.getElementById('recurring-note');
+  const recurringSchedule = document.getElementById('recurring-schedule');
+  const recurringEvery = document.getElementById('recurring-every');
+  const recurringStart = document.getElementById('recurring-start');
+  const recurringAuto = document.getElementById('recurring-auto');
+
+  if (recurringSchedule) {
+    Object.entries(RECURRING_SCHEDULES).forEach(([key, label]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = label;
+      recurringSchedule.appendChild(opt);
+    });
+  }
+  if (recurringStart) {
+    recurringStart.value = formatLocalDate(new Date());
+  }
+
+  if (recurringAddBtn && recurringFrom && recurringTo && recurringAmount && recurringNote &&
+      recurringSchedule && recurringEvery && recurringStart && recurringAuto) {
+    recurringAddBtn.addEventListener('click', () => {
+      const amount = Number(recurringAmount.value);
+      const every = Number(recurringEvery.value);
+      const type = recurringSchedule.value;
+
+      if (!recurringFrom.value && !recurringTo.value) {
+        notifyError('Select at least one envelope (from or to).');
+        return;
+      }
+      if (!amount || amount <= 0) {
+        notifyError('Enter a positive amount.');
+        return;
+      }
+      if (type === 'everyNDays' && !(Number.isInteger(every) && every > 0)) {
+        notifyError('Enter how many days apart, as a whole number.');
+        return;
+      }
+      if (type === 'monthlyDay' && !(Number.isInteger(every) && every >= 1 && every <= 31)) {
+        notifyError('Enter a day of the month from 1 to 31.');
+        return;
+      }
+      if (!isValidLocalDate(recurringStart.value)) {
+        notifyError('Enter a valid start date.');
+        return;
+      }
+
+      const schedule = { type };
+      if (type === 'everyNDays') schedule.intervalDays = every;
+      if (type === 'monthlyDay') schedule.dayOfMonth = every;
+
+      addRecurring({
+        fromEnvelopeId: recurringFrom.value || null,
+        toEnvelopeId: recurringTo.value || null,
+        amountDollars: amount,
+        note: recurringNote.value,
+        schedule,
+        startDate: recurringStart.value,
+        autoPost: recurringAuto.checked,
+      });
+
+      recurringAmount.value = '';
+      recurringNote.value = '';
+    });
+  }
+
+  // Budget period settings
+  const periodSaveBtn = document.getElementById('period-save-btn');
+  const periodFrequency = document.getElementById('period-frequency');
+  const periodStart = document.getElementById('period-start');
+
+  if (periodSaveBtn && periodFrequency && periodStart) {
+    periodSaveBtn.addEventListener('click', async () => {
+      if (!isValidLocalDate(periodStart.value)) {
+        notifyError('Enter a valid period start date.');
+        return;
+      }
+      const ok = await confirmDialog(
+        'Periods are counted from the current one; nothing is closed retroactively.',
+        { title: 'Change the budget period?', confirmLabel: 'Change period' }
+      );
+      if (!ok) return;
+      updatePeriodSettings(periodFrequency.value, periodStart.value);
+    });
+  }
+
+  // Archive browsing
+  const archiveMonth = document.getElementById('archive-month');
+  const archiveExportBtn = document.getElementById('archive-export-btn');
+
+  if (archiveMonth) {
+    archiveMonth.addEventListener('change', renderArchive);
+  }
+  if (archiveExportBtn && archiveMonth) {
+    archiveExportBtn.addEventListener('click', () => {
+      exportArchivedMonth(archiveMonth.value);
+    });
+  }
+
+  // Accounts
+  const addAccountBtn = document.getElementById('add-account-btn');
+  const transferFrom = document.getElementById('transfer-from');
+  const transferTo = document.getElementById('transfer-to');
+  const transferAmount = document.getElementById('transfer-amount');
+  const transferBtn = document.getElementById('transfer-btn');
+
+  if (addAccountBtn) {
+    addAccountBtn.addEventListener('click', async () => {
+      const values = await openFormDialog({
+        title: 'Add account',
+        fields: [
+          { name: 'name', label: 'Account name', type: 'text', required: true, hint: 'For example "Savings" or "Wallet".' },
+          {
+            name: 'type',
+            label: 'Type',
+            type: 'select',
+            value: 'checking',
+            options: Object.entries(ACCOUNT_TYPES).map(([value, label]) => ({ value, label })),
+          },
+        ],
+        submitLabel: 'Add account',
+      });
+      if (!values) return;
+      addAccount(values.name, values.type);
+    });
+  }
 
-  if (bankSaveBtn && bankInput) {
-    bankSaveBtn.addEventListener('click', () => {
-      const value = Number(bankInput.value);
-      if (Number.isNaN(value)) {
-        alert('Enter a valid bank balance.');
+  if (transferBtn && transferFrom && transferTo && transferAmount) {
+    transferBtn.addEventListener('click', () => {
+      const amount = Number(transferAmount.value);
+      if (transferFrom.value === transferTo.value) {
+        notifyError('Choose two different accounts.');
+        return;
+      }
+      if (!amount || amount <= 0) {
+        notifyError('Enter a positive amount.');
         return;
       }
-      bankInput.value = '';
-      updateBankBalance(value);
+      transferBetweenAccounts(transferFrom.value, transferTo.value, amount, 'Transfer');
+      transferAmount.value = '';
     });
   }
 
   const addEnvBtn = document.getElementById('add-envelope-btn');
   if (addEnvBtn) {
-    addEnvBtn.addEventListener('click', () => {
-      const name = prompt('Envelope name');
-      if (!name) return;
-      const targetStr = prompt('How much to put aside each pay period (dollars)');
-      const target = Number(targetStr) || 0;
-      addEnvelope(name, target);
+    addEnvBtn.addEventListener('click', async () => {
+      const values = await openFormDialog({
+        title: 'Add envelope',
+        fields: [
+          { name: 'name', label: 'Envelope name', type: 'text', required: true },
+          {
+            name: 'target',
+            label: 'Target per period ($)',
+            type: 'money',
+            value: '0.00',
+            required: true,
+            hint: 'How much to put aside each pay period.',
+          },
+        ],
+        submitLabel: 'Add envelope',
+      });
+      if (!values) return;
+      addEnvelope(values.name, values.target);
     });
   }
 
   const addCardBtn = document.getElementById('add-card-btn');
   if (addCardBtn) {
-    addCardBtn.addEventListener('click', () => {
-      addCreditCardEnvelope();
+    addCardBtn.addEventListener('click', async () => {
+      const values = await openFormDialog({
+        title: 'Add credit card',
+        fields: [{ name: 'name', label: 'Card name', type: 'text', required: true, hint: 'For example "Visa" or "Amex".' }],
+        submitLabel: 'Add card',
+      });
+      if (!values) return;
+      addCreditCardEnvelope(values.name);
+    });
+  }
+
+  // Card charge wiring
+  const chargeCardSelect = document.getElementById('charge-card');
+  const chargeFrom = document.getElementById('charge-from');
+  const chargeAmount = document.getElementById('charge-amount');
+  const chargePayee = document.getElementById('charge-payee');
+  const chargeBtn = document.getElementById('charge-add-btn');
+
+  if (chargeBtn && chargeCardSelect && chargeFrom && chargeAmount && chargePayee) {
+    chargeBtn.addEventListener('click', () => {
+      const amount = Number(chargeAmount.value);
+      if (!chargeCardSelect.value || !chargeFrom.value) {
+        notifyError('Choose a card and the envelope the purchase comes from.');
+        return;
+      }
+      if (!amount || amount <= 0) {
+        notifyError('Enter a positive amount.');
+        return;
+      }
+
+      chargeCard({
+        cardId: chargeCardSelect.value,
+        fromEnvelopeId: chargeFrom.value,
+        amountDollars: amount,
+        payee: chargePayee.value.trim(),
+      });
+
+      chargeAmount.value = '';
+      chargePayee.value = '';
     });
   }
 
@@ -934,7 +8063,7 @@ function init() {
     incomeBtn.addEventListener('click', () => {
       const amount = Number(incomeInput.value);
       if (!amount || amount <= 0) {
-        alert('Enter a positive income amount.');
+        notifyError('Enter a positive income amount.');
         return;
       }
       addIncome(amount, "New Income");
@@ -947,49 +8076,296 @@ function init() {
   const autoAllocateBtn = document.getElementById('auto-allocate-btn');
   if (autoAllocateBtn) {
     autoAllocateBtn.addEventListener('click', () => {
-      autoAllocate();
+      openAllocationPreview();
+    });
+  }
+
+  // Allocation preview
+  const allocationPaycheck = document.getElementById('allocation-paycheck');
+  const allocationStop = document.getElementById('allocation-stop');
+  const allocationOverflow = document.getElementById('allocation-overflow');
+  const allocationConfirmBtn = document.getElementById('allocation-confirm-btn');
+  const allocationCancelBtn = document.getElementById('allocation-cancel-btn');
+
+  if (allocationPaycheck) {
+    allocationPaycheck.addEventListener('input', renderAllocationPreview);
+  }
+  if (allocationStop && allocationOverflow) {
+    [allocationStop, allocationOverflow].forEach(input => {
+      input.addEventListener('change', () => {
+        state.settings.allocation.stopWhenIncomeRunsOut = allocationStop.checked;
+        state.settings.allocation.remainderToOverflow = allocationOverflow.checked;
+        saveState('Change allocation options');
+        renderAllocationPreview();
+      });
+    });
+  }
+  if (allocationConfirmBtn) {
+    allocationConfirmBtn.addEventListener('click', () => {
+      const paycheckCents = getPreviewPaycheckCents();
+      if (!paycheckCents) {
+        notifyError('Enter a positive paycheck amount.');
+        return;
+      }
+      autoAllocate(planAllocation(paycheckCents));
+      closeAllocationPreview();
     });
   }
+  if (allocationCancelBtn) {
+    allocationCancelBtn.addEventListener('click', closeAllocationPreview);
+  }
+
+  // Reports wiring
+  const reportsSection = document.getElementById('reports-section');
+  const reportKind = document.getElementById('report-kind');
+  const reportMonths = document.getElementById('report-months');
+  const reportExportBtn = document.getElementById('report-export-btn');
+
+  if (reportKind) {
+    Object.entries(REPORTS).forEach(([key, { label }]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = label;
+      reportKind.appendChild(opt);
+    });
+    reportKind.addEventListener('change', renderReports);
+  }
+  if (reportMonths) {
+    reportMonths.addEventListener('input', renderReports);
+  }
+  if (reportsSection) {
+    reportsSection.addEventListener('toggle', renderReports);
+  }
+  if (reportExportBtn) {
+    reportExportBtn.addEventListener('click', exportReport);
+  }
+
+  // Envelope detail wiring
+  const envelopeCloseBtn = document.getElementById('envelope-close-btn');
+  const envelopeActionAmount = document.getElementById('envelope-action-amount');
+  const envelopeActionNote = document.getElementById('envelope-action-note');
+  const envelopeActionTarget = document.getElementById('envelope-action-target');
+
+  if (envelopeCloseBtn) {
+    envelopeCloseBtn.addEventListener('click', closeEnvelopeDetail);
+  }
+  if (envelopeActionAmount && envelopeActionNote && envelopeActionTarget) {
+    [
+      ['envelope-fund-btn', 'fund'],
+      ['envelope-move-btn', 'move'],
+      ['envelope-spend-btn', 'spend'],
+    ].forEach(([id, action]) => {
+      const btn = document.getElementById(id);
+      if (!btn) return;
+      btn.addEventListener('click', () => {
+        const amount = Number(envelopeActionAmount.value);
+        if (!amount || amount <= 0) {
+          notifyError('Enter a positive amount.');
+          return;
+        }
+        if (action === 'move' && !envelopeActionTarget.value) {
+          notifyError('Choose the envelope to move money to.');
+          return;
+        }
+        const tx = runEnvelopeQuickAction(action, amount, envelopeActionNote.value.trim(), envelopeActionTarget.value);
+        if (!tx) return;
+        envelopeActionAmount.value = '';
+        envelopeActionNote.value = '';
+      });
+    });
+  }
+
+  // Transaction filters wiring
+  transactionFilters = readTransactionFiltersFromHash();
+  window.addEventListener('hashchange', () => {
+    transactionFilters = readTransactionFiltersFromHash();
+    renderTransactions();
+  });
+
+  TRANSACTION_FILTER_KEYS.forEach(key => {
+    const input = document.getElementById('filter-' + key);
+    if (!input) return;
+    input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+      const changes = { [key]: input.value.trim() };
+      // A fixed range and "last N days" don't mix
+      if (key === 'days' && changes.days) Object.assign(changes, { from: '', to: '' });
+      if ((key === 'from' || key === 'to') && changes[key]) changes.days = '';
+      setTransactionFilters(changes);
+    });
+  });
+
+  const filterClearBtn = document.getElementById('filter-clear-btn');
+  if (filterClearBtn) {
+    filterClearBtn.addEventListener('click', () => setTransactionFilters(emptyTransactionFilters()));
+  }
 
   // Transaction form wiring
   const txFrom = document.getElementById('tx-from');
   const txTo = document.getElementById('tx-to');
   const txAmount = document.getElementById('tx-amount');
+  const txPayee = document.getElementById('tx-payee');
   const txNote = document.getElementById('tx-note');
+  const txTags = document.getElementById('tx-tags');
   const txAddBtn = document.getElementById('tx-add-btn');
+  const txRuleStatus = document.getElementById('tx-rule-status');
+
+  if (txAddBtn && txFrom && txTo && txAmount && txPayee && txNote && txTags) {
+    // Payee rules fill in the envelopes and tags as the user types
+    [txPayee, txNote, txAmount].forEach(input => {
+      input.addEventListener('input', applyRuleToTransactionForm);
+    });
+    [txFrom, txTo, txTags].forEach(input => {
+      input.addEventListener('input', () => ruleTouchedFields.add(input.id));
+      input.addEventListener('change', () => ruleTouchedFields.add(input.id));
+    });
+
+    const txDateInput = document.getElementById('tx-date');
+    if (txDateInput) {
+      txDateInput.value = formatLocalDate(new Date());
+      txDateInput.max = txDateInput.value;
+    }
+
+    const txSplitAddBtn = document.getElementById('tx-split-add-btn');
+    if (txSplitAddBtn) {
+      txSplitAddBtn.addEventListener('click', addSplitLine);
+    }
 
-  if (txAddBtn && txFrom && txTo && txAmount && txNote) {
     txAddBtn.addEventListener('click', () => {
-      const fromId = txFrom.value || null;
+      const splits = getSplitLinesFromForm();
+      const txDate = document.getElementById('tx-date');
+      const date = txDate && txDate.value ? txDate.value : formatLocalDate(new Date());
+      const fromId = splits.length ? null : txFrom.value || null;
       const toId = txTo.value || null;
-      const amount = Number(txAmount.value);
+      // A split posts the sum of its lines, not the read-only display field.
+      const amount = splits.length
+        ? splits.reduce((sum, line) => sum + dollarsToCents(line.amountDollars || 0), 0) / 100
+        : Number(txAmount.value);
+
+      if (splits.length === 1) {
+        notifyError('A split needs at least two lines.');
+        return;
+      }
+      if (splits.some(line => !line.envelopeId || !(line.amountDollars > 0))) {
+        notifyError('Give every split line an envelope and a positive amount.');
+        return;
+      }
+      const payee = txPayee.value.trim();
       const note = txNote.value;
+      const txAccount = document.getElementById('tx-account');
 
-      if (!fromId && !toId) {
-        alert('Select at least one envelope (from or to).');
+      if (!fromId && !toId && splits.length === 0) {
+        notifyError('Select at least one envelope (from or to).');
+        return;
+      }
+      if (!isValidLocalDate(date) || date > formatLocalDate(new Date())) {
+        notifyError('Enter a date that is today or earlier.');
         return;
       }
       if (!amount || amount <= 0) {
-        alert('Enter a positive amount.');
+        notifyError('Enter a positive amount.');
         return;
       }
 
+      const tags = parseTags(txTags.value);
+      const matched = findRuleForTransactionForm();
+      const rule = matched && transactionFollowsRule(matched, { fromEnvelopeId: fromId, toEnvelopeId: toId, tags })
+        ? matched
+        : null;
+
       addTransaction({
         fromEnvelopeId: fromId,
         toEnvelopeId: toId,
         amountDollars: amount,
+        payee,
         note,
+        tags,
+        ruleId: rule ? rule.id : null,
+        accountId: txAccount?.value || null,
+        splits: splits.length ? splits : null,
+        timestamp: getEntryTimestamp(date),
       });
 
+      const txSplits = document.getElementById('tx-splits');
+      if (txSplits) txSplits.innerHTML = '';
+      updateSplitTotal();
       txAmount.value = '';
+      txPayee.value = '';
       txNote.value = '';
+      txTags.value = '';
+      ruleTouchedFields.clear();
+      if (txRuleStatus) txRuleStatus.textContent = '';
+      if (txDate) txDate.value = formatLocalDate(new Date());
+      if (rule) renderPayeeRules();
     });
   }
-  renderEnvelopes();
-  renderTransactions();
-  renderCreditCards();
-  renderSummary();
-  renderCoreEnvelopesPanel();
+
+  // Payee rules wiring
+  const ruleAddBtn = document.getElementById('rule-add-btn');
+  const ruleField = document.getElementById('rule-field');
+  const ruleMatch = document.getElementById('rule-match');
+  const rulePattern = document.getElementById('rule-pattern');
+  const ruleMin = document.getElementById('rule-min');
+  const ruleMax = document.getElementById('rule-max');
+  const ruleFrom = document.getElementById('rule-from');
+  const ruleTo = document.getElementById('rule-to');
+  const ruleTags = document.getElementById('rule-tags');
+
+  [[ruleField, RULE_FIELDS], [ruleMatch, RULE_MATCHES]].forEach(([select, choices]) => {
+    if (!select) return;
+    Object.entries(choices).forEach(([key, label]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+  });
+
+  if (ruleAddBtn && ruleField && ruleMatch && rulePattern && ruleMin && ruleMax && ruleFrom && ruleTo && ruleTags) {
+    ruleAddBtn.addEventListener('click', () => {
+      const pattern = rulePattern.value.trim();
+      const min = ruleMin.value === '' ? null : Number(ruleMin.value);
+      const max = ruleMax.value === '' ? null : Number(ruleMax.value);
+      const tags = parseTags(ruleTags.value);
+
+      if (!pattern && min == null && max == null) {
+        notifyError('Enter some text to match or an amount range.');
+        return;
+      }
+      if (ruleMatch.value === 'regex') {
+        try {
+          new RegExp(pattern);
+        } catch (err) {
+          notifyError('That regex is not valid: ' + err.message);
+          return;
+        }
+      }
+      if ((min != null && !(min >= 0)) || (max != null && !(max >= 0)) || (min != null && max != null && min > max)) {
+        notifyError('Enter a valid amount range.');
+        return;
+      }
+      if (!ruleFrom.value && !ruleTo.value && tags.length === 0) {
+        notifyError('Choose an envelope or tags for the rule to set.');
+        return;
+      }
+
+      addPayeeRule({
+        field: ruleField.value,
+        match: ruleMatch.value,
+        pattern,
+        minDollars: min,
+        maxDollars: max,
+        fromEnvelopeId: ruleFrom.value || null,
+        toEnvelopeId: ruleTo.value || null,
+        tags,
+      });
+
+      rulePattern.value = '';
+      ruleMin.value = '';
+      ruleMax.value = '';
+      ruleTags.value = '';
+    });
+  }
+  renderAll();
 }
 
 
@@ -0,0 +1,161 @@
+// Tiny sync server for Dead-Simple-Budget. Stores each budget as a JSON file
+// and speaks both sync modes the app offers:
+//
+//   REST (JSON)  GET returns the document, PUT stores it when its revision is
+//                one past the stored one, else 409 Conflict.
+//   WebDAV       GET/PUT with ETags; PUT honours If-Match and
+//                If-None-Match: * (412 Precondition Failed).
+//
+// Usage: node sync-server.js
+//   PORT                    port to listen on (default 8765)
+//   DATA_DIR                where budgets are kept (default ./sync-data)
+//   SYNC_USER, SYNC_PASSWORD  require HTTP Basic auth when both are set
+//
+// In the app, set the sync address to http://<this machine>:8765/<name>.json.
+// Serve it over https (e.g. behind a reverse proxy) outside your home network.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8765;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'sync-data');
+const USER = process.env.SYNC_USER || '';
+const PASSWORD = process.env.SYNC_PASSWORD || '';
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag',
+};
+
+// One flat directory; names like "budget.json" only.
+function getFilePath(urlPath) {
+  let name;
+  try {
+    name = decodeURIComponent(urlPath.replace(/^\/+/, ''));
+  } catch (err) {
+    return null;
+  }
+  if (!/^[\w-][\w.-]*$/.test(name)) return null;
+  return path.join(DATA_DIR, name);
+}
+
+function getEtag(content) {
+  return `"${crypto.createHash('sha256').update(content).digest('hex').slice(0, 32)}"`;
+}
+
+function readStored(filePath) {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+function getRevision(content) {
+  try {
+    const revision = JSON.parse(content).revision;
+    return Number.isInteger(revision) ? revision : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function isAuthorized(req) {
+  if (!USER || !PASSWORD) return true;
+  const expected = 'Basic ' + Buffer.from(`${USER}:${PASSWORD}`).toString('base64');
+  const given = req.headers.authorization || '';
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+function send(res, status, body = '', headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Cache-Control': 'no-store', ...headers });
+  res.end(body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Everything between reading the stored file and replacing it is
+// synchronous, so two PUTs can't interleave.
+function handlePut(req, res, filePath, body) {
+  const stored = readStored(filePath);
+  const currentEtag = stored ? getEtag(stored) : null;
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+
+  if (ifMatch || ifNoneMatch) {
+    if (ifMatch && (!stored || (ifMatch !== '*' && ifMatch !== currentEtag))) {
+      return send(res, 412, 'The file changed since you read it.\n');
+    }
+    if (ifNoneMatch === '*' && stored) {
+      return send(res, 412, 'The file already exists.\n');
+    }
+  } else {
+    const revision = getRevision(body);
+    if (revision === null) {
+      return send(res, 400, 'Expected a JSON document with an integer "revision".\n');
+    }
+    const currentRevision = stored ? getRevision(stored) || 0 : 0;
+    if (revision !== currentRevision + 1) {
+      return send(res, 409, JSON.stringify({ revision: currentRevision }), { 'Content-Type': 'application/json' });
+    }
+  }
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, body);
+  fs.renameSync(tmpPath, filePath);
+  send(res, stored ? 204 : 201, '', { ETag: getEtag(body) });
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (!isAuthorized(req)) {
+      return send(res, 401, 'Sign in first.\n', { 'WWW-Authenticate': 'Basic realm="Dead-Simple-Budget sync"' });
+    }
+
+    const filePath = getFilePath(new URL(req.url, 'http://localhost').pathname);
+    if (!filePath) return send(res, 404, 'Use a plain file name such as /budget.json.\n');
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const stored = readStored(filePath);
+      if (!stored) return send(res, 404, 'Nothing synced here yet.\n');
+      const headers = { 'Content-Type': 'application/json', ETag: getEtag(stored) };
+      return send(res, 200, req.method === 'HEAD' ? '' : stored, headers);
+    }
+    if (req.method === 'PUT') {
+      return handlePut(req, res, filePath, await readBody(req));
+    }
+    send(res, 405, 'Method not allowed.\n', { Allow: 'GET, HEAD, PUT, OPTIONS' });
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) send(res, err.status || 500, `${err.message}\n`);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Dead-Simple-Budget sync server on http://localhost:${PORT}/ storing budgets in ${DATA_DIR}`);
+});